@@ -7,17 +7,57 @@
 /**
  * Evolutionary algorithm constructor.
  *
- * @param  array     variables        Variables for algorithm.
+ * Variables can be also given as schema object with own type and bounds for each variable,
+ * e.g. {x: {type: 'REAL', min: -5, max: 5}, n: {type: 'INT', min: 0, max: 100}, flag: {type: 'BOOL'}}.
+ * Interval and number coding are then used only as defaults and can be omitted: new EvolutionaryAlgorithm(schema, fitnessFunction, options).
+ * BINARY variables are stored as bit strings (bits, gray) and fitness function sees values decoded to interval [min, max].
+ * TREE variables are expression trees for genetic programming, e.g. {program: {type: 'TREE', functions: {add: function(a, b) { return a + b; }},
+ * terminals: ['x'], constants: [-1, 1]}}. Fitness function sees tree compiled to function, which gets object with values of terminals.
+ *
+ * Constraints are functions that get individual and return amount of violation (zero or negative number when constraint is satisfied).
+ * Infeasible individuals are handled by Deb's feasibility rules (constraintHandling: 'feasibility'), by static penalty
+ * ('static', penalty coefficient) or by adaptive penalty ('adaptive'), whose coefficient is changed every period of generations
+ * (penaltyAdaptation: {period, increase, decrease}). Adaptive coefficient is kept by every population and it is used by algorithm
+ * while that population evolves. Repair function can change variables of every new child before evaluation.
+ *
+ * Individuals of variable length (variableIndividualLength) have variables named by their positions, which use interval and number coding
+ * of algorithm. Their length is kept in bounds [minIndividualLength, maxIndividualLength] by initialization and all genetic operators.
+ *
+ * @param  mixed     variables        Variables for algorithm. Array of names or schema object.
  * @param  array     interval         Interval of values that variables cam make.
- * @param  string    number_coding    Type of numbers that can be used. ('INT', 'REAL')
- * @param  function  fitnessFunction  Fitness function.
- * @param  object    options          More options.
+ * @param  string    number_coding    Type of numbers that can be used. ('INT', 'REAL', 'BOOL', 'PERMUTATION', 'BINARY', 'TREE' only in schema)
+ * @param  function  fitnessFunction  Fitness function or EvolutionaryAlgorithmWorkerPool, which evaluates individuals in asynchronous methods.
+ * @param  object    options          More options. (variableIndividualLength, minIndividualLength, maxIndividualLength, seed, random, objective, scaling, bits, gray,
+ *                                    batchEvaluation, batchSize, concurrency, cache, objectives, constraints, constraintHandling,
+ *                                    penalty, penaltyAdaptation, repair, distance, parsimony)
  */
 function EvolutionaryAlgorithm(variables, interval, number_coding, fitnessFunction, options)
 {
+	var schema = null;
+
+	if(variables && Object.prototype.toString.call(variables) === '[object Object]')
+	{
+		schema = variables;
+
+		// shortened form: (schema, fitnessFunction, options), fitness function can be also worker pool
+		if(Object.prototype.toString.call(interval) === '[object Function]' || interval instanceof EvolutionaryAlgorithmWorkerPool)
+		{
+			options         = number_coding;
+			fitnessFunction = interval;
+			number_coding   = undefined;
+			interval        = undefined;
+		}
+	}
+
+	options = options || {};
+
 	// store variable names
 	this.variables = [];
-	if(Object.prototype.toString.call(variables) === '[object Array]')
+	if(schema)
+	{
+		this.variables = Object.keys(schema);
+	}
+	else if(Object.prototype.toString.call(variables) === '[object Array]')
 	{
 		this.variables = this.variables.concat(variables);
 	}
@@ -25,14 +65,50 @@ function EvolutionaryAlgorithm(variables, interval, number_coding, fitnessFuncti
 		this.variables.push(variables);
 
 	// check interval
-	if(Object.prototype.toString.call(interval) !== '[object Array]' || interval.length != 2)
-		throw new Error('Interval must be array with min and max value.');
+	if(interval !== undefined || !schema)
+	{
+		if(Object.prototype.toString.call(interval) !== '[object Array]' || interval.length != 2)
+			throw new Error('Interval must be array with min and max value.');
+	}
 
 	// store interval
 	this.interval = interval;
 
 	// store number coding
-	this.number_coding = number_coding.toUpperCase() || 'INT';
+	this.number_coding = (number_coding || 'INT').toUpperCase();
+
+	// values of permutation are all integers from interval, each used exactly once
+	if(this.number_coding == 'PERMUTATION')
+	{
+		if(schema || (options && options.variableIndividualLength))
+			throw new Error('PERMUTATION coding can not be used with variable schema or variable individual length.');
+
+		if(interval[1] - interval[0] + 1 != this.variables.length)
+			throw new Error('Interval of PERMUTATION coding must contain one value for each variable.');
+	}
+
+	// default length and coding of BINARY variables
+	this.bits = options.bits || 16;
+	this.gray = options.gray || false;
+
+	// store schema of all variables
+	this.schema = {};
+
+	for(var v=0, len=this.variables.length; v<len; v++)
+	{
+		var name = this.variables[v];
+
+		this.schema[name] = this.createVariableSchema(name, schema ? schema[name] : null);
+	}
+
+	// fitness can be evaluated by pool of workers
+	var worker_pool = null;
+
+	if(fitnessFunction instanceof EvolutionaryAlgorithmWorkerPool)
+	{
+		worker_pool     = fitnessFunction;
+		fitnessFunction = worker_pool.getFitnessFunction();
+	}
 
 	// check fitness function
 	if(Object.prototype.toString.call(fitnessFunction) !== '[object Function]')
@@ -40,9 +116,131 @@ function EvolutionaryAlgorithm(variables, interval, number_coding, fitnessFuncti
 
 	// store fitness function
 	this.fitnessFunction = fitnessFunction;
+	this.worker_pool     = worker_pool;
+
+	// fitness function can evaluate array of individuals at once
+	this.batch_evaluation = options.batchEvaluation || (worker_pool !== null);
+	this.batch_size       = options.batchSize || 0;
+
+	// maximal number of asynchronous evaluations running at once
+	this.concurrency = options.concurrency || 0;
+
+	// cache of fitness values for evaluated genotypes
+	if(options.cache instanceof EvolutionaryAlgorithmFitnessCache)
+		this.cache = options.cache;
+	else if(options.cache)
+		this.cache = new EvolutionaryAlgorithmFitnessCache((typeof options.cache === 'number') ? options.cache : undefined);
+	else
+		this.cache = null;
+
+	// individuals are not evaluated while this is set (see createUnevaluated)
+	this.deferred_evaluation = false;
+
+	// number of calls of fitness function for one individual
+	this.evaluations = 0;
 
 	// store if individual have varibale length
 	this.variable_individual_length = (options && options.variableIndividualLength) || false;
+
+	// bounds of individual length, individuals of fixed length have length of variables
+	if(this.variable_individual_length)
+	{
+		this.min_individual_length = (options.minIndividualLength === undefined) ? 1 : options.minIndividualLength;
+		this.max_individual_length = (options.maxIndividualLength === undefined) ? 100 : options.maxIndividualLength;
+
+		if(this.min_individual_length % 1 !== 0 || this.max_individual_length % 1 !== 0 || this.min_individual_length < 1 || this.min_individual_length > this.max_individual_length)
+			throw new Error('Bounds of individual length must be integers, where 1 <= minIndividualLength <= maxIndividualLength.');
+	}
+	else
+	{
+		this.min_individual_length = this.variables.length;
+		this.max_individual_length = this.variables.length;
+	}
+
+	// store if genotype contains bit strings
+	var variable_schemas = this.schema;
+	this.binary = this.variables.some(function(name) { return variable_schemas[name].type == 'BINARY'; });
+
+	if(this.variable_individual_length && (this.binary || this.number_coding == 'BINARY'))
+		throw new Error('BINARY variables can not be used with variable individual length.');
+
+	// store if genotype contains expression trees
+	this.tree = this.variables.some(function(name) { return variable_schemas[name].type == 'TREE'; });
+
+	if(this.variable_individual_length && this.tree)
+		throw new Error('TREE variables can not be used with variable individual length.');
+
+	// compiled programs can not be sent to workers
+	if(this.tree && worker_pool)
+		throw new Error('TREE variables can not be evaluated by worker pool.');
+
+	// penalty for size of trees used as bloat control
+	this.parsimony = options.parsimony || 0;
+
+	// store if fitness is maximized or minimized
+	this.objective = (options.objective || 'max').toLowerCase();
+
+	if(this.objective != 'max' && this.objective != 'min')
+		throw new Error('Objective must be max or min.');
+
+	// multi-objective fitness function returns array of values, each objective is 'min' or 'max'
+	this.objectives = null;
+
+	if(options.objectives)
+	{
+		this.objectives = options.objectives.map(function(objective)
+		{
+			objective = objective.toLowerCase();
+
+			if(objective != 'max' && objective != 'min')
+				throw new Error('Objective must be max or min.');
+
+			return objective;
+		});
+	}
+
+	// store constraints and method of handling infeasible individuals
+	this.constraints         = options.constraints || [];
+	this.constraint_handling = (options.constraintHandling || 'feasibility').toLowerCase();
+
+	if(['feasibility', 'static', 'adaptive'].indexOf(this.constraint_handling) == -1)
+		throw new Error('Constraint handling must be feasibility, static or adaptive.');
+
+	this.penalty            = (options.penalty === undefined) ? 1 : options.penalty;
+	this.penalty_adaptation = {period: 5, increase: 2, decrease: 1.5};
+
+	for(var key in options.penaltyAdaptation)
+	{
+		if(options.penaltyAdaptation.hasOwnProperty(key))
+			this.penalty_adaptation[key] = options.penaltyAdaptation[key];
+	}
+
+	// user function that repairs new children
+	if(options.repair && Object.prototype.toString.call(options.repair) !== '[object Function]')
+		throw new Error('Repair must be valid function.');
+
+	this.repair = options.repair || null;
+
+	// custom distance of individuals used by niching methods
+	if(options.distance && Object.prototype.toString.call(options.distance) !== '[object Function]')
+		throw new Error('Distance must be valid function.');
+
+	this.distance = options.distance || null;
+
+	// store default fitness scaling used by selection
+	this.scaling = options.scaling || null;
+
+	// store random number generator; custom function or generator object can be used instead of built-in one
+	if(Object.prototype.toString.call(options.random) === '[object Function]')
+		this.generator = {random: options.random};
+	else if(options.random && Object.prototype.toString.call(options.random.random) === '[object Function]')
+		this.generator = options.random;
+	else
+		this.generator = new EvolutionaryAlgorithmRandom(options.seed);
+
+	// every population and operator draws random numbers from this function
+	var generator = this.generator;
+	this.random = function() { return generator.random(); };
 }
 
 EvolutionaryAlgorithm.prototype = {
@@ -77,788 +275,7150 @@ EvolutionaryAlgorithm.prototype = {
 				{
 					default:
 					case 'random':
-						var interval = this.interval;
+						var algorithm = this;
 
-						if(this.number_coding == 'INT')
-							generateIndividualFunction = function() { return Math.round((Math.random() * (interval[1] - interval[0])) + interval[0]); };
+						if(this.number_coding == 'PERMUTATION')
+						{
+							var permutation;
+
+							generateIndividualFunction = function(individual, variable, v)
+							{
+								// new permutation for every individual
+								if(v === 0)
+									permutation = algorithm.generatePermutation();
+
+								return permutation[v];
+							};
+						}
 						else
-							generateIndividualFunction = function() { return (Math.random() * (interval[1] - interval[0])) + interval[0]; };
+							generateIndividualFunction = function(individual, variable) { return algorithm.generateValue(variable); };
 				}
 			}
 
-			var fitnessFunction = this.fitnessFunction;
 			var variable_individual_length = this.variable_individual_length;
-			var max_individual_length = 100;
-		
+			var min_individual_length      = this.min_individual_length;
+			var max_individual_length      = this.max_individual_length;
+
 			while(population.count < n)
 			{
-				var variables = (variable_individual_length) ? Array.apply(null, new Array(Math.floor(Math.random() * max_individual_length) + 1)).map(function (_, i) { return i; }) : this.variables;
-				var individual = new EvolutionaryAlgorithmIndividual(variables, generateIndividualFunction, fitnessFunction);
+				var length    = min_individual_length + Math.floor(this.random() * (max_individual_length - min_individual_length + 1));
+				var variables = (variable_individual_length) ? Array.apply(null, new Array(length)).map(function (_, i) { return i; }) : this.variables;
+				var individual = new EvolutionaryAlgorithmIndividual(variables, generateIndividualFunction, this);
 
 				population.push(individual);
 			}
 		}
 
 		return population;
-	}
-};
-
-/**
- * Individiual for evolutionary algorithm.
- *
- * @param  array     variables         Array of variable names.
- * @param  function  generateFunction  Function that generates individual value.
- * @param  function  fitnessFunction   Function that computes fitness.
- */
-function EvolutionaryAlgorithmIndividual(variables, generateFunction, fitnessFunction)
-{
-	this.variables = {};
+	},
 
-	if(variables)
+	/**
+	 * Initialize population asynchronously. Fitness of individuals is evaluated by evaluateAsync.
+	 *
+	 * @param   int     n       Number of individuals.
+	 * @param   string  method  Name of methot to use. Supported values: random
+	 *
+	 * @return  Promise         Promise resolved with population.
+	 */
+	initializePopulationAsync: function(n, method)
 	{
-		for(var v=0, len=variables.length; v<len; v++)
-		{
-			var variable = variables[v];
-			this.variables[variable] = generateFunction(this, variable, v);
-		}
-	}
-
-	this.fitness = fitnessFunction(this);
-}
+		var algorithm  = this;
+		var population = this.createUnevaluated(function() { return algorithm.initializePopulation(n, method); });
 
-EvolutionaryAlgorithmIndividual.prototype = {
-	constructor: EvolutionaryAlgorithmIndividual,
+		return this.evaluateAsync(population.individuals).then(function() { return population; });
+	},
 
-	toString: function()
+	/**
+	 * Run algorithm until one of termination criteria is met.
+	 *
+	 * Steps of pipeline (selection, grouping, crossover, mutation, replacement) can be given as method name
+	 * or as object {method, options}. Selection and grouping also accept number of individuals (n) and grouping accepts group size (groupSize).
+	 * Crossover or mutation can be disabled by setting it to null. Whole chain of genetic operators can be given in operators
+	 * (see EvolutionaryAlgorithmPopulation.applyGeneticOperators), which takes precedence over grouping, crossover and mutation.
+	 * Default selection and replacement are roulette and generational, run throws error when selection returns no parents.
+	 * Default crossover and mutation are one_point and uniform_mutation, subtree and subtree_mutation for algorithms with TREE variables
+	 * or order and swap_mutation for PERMUTATION coding. Default mutation is bit_flip_mutation for algorithms with BINARY variables.
+	 *
+	 * @param   object  config  Configuration. (population, populationSize, initialization, selection, grouping, crossover, mutation, operators, replacement,
+	 *                          maxGenerations, targetFitness, stagnation, timeLimit, onGeneration, onImprovement, hallOfFame,
+	 *                          onCheckpoint, checkpointInterval, resume, statistics)
+	 *                          Hall of fame can be given as EvolutionaryAlgorithmHallOfFame or as its size.
+	 *                          Callback onCheckpoint gets state of run (see EvolutionaryAlgorithmRun.toJSON) every checkpointInterval generations
+	 *                          and run continues from such state given as resume.
+	 *                          Statistics can be given as EvolutionaryAlgorithmStatistics or as its options.
+	 *
+	 * @return  object          Run summary. (best, population, generations, reason, time, hallOfFame, statistics)
+	 */
+	run: function(config)
 	{
-		var variables = this.variables;
+		config = config || {};
 
-		var ret = [];
+		var run;
 
-		for(var p in variables)
+		if(config.resume)
+			run = EvolutionaryAlgorithmRun.fromJSON(config.resume, this, config);
+		else
 		{
-			if(this.hasOwnProperty(p))
-				ret.push(p + ': ' + variables[p]);
+			var population = config.population;
+
+			if(!(population instanceof EvolutionaryAlgorithmPopulation))
+				population = this.initializePopulation(config.populationSize || 20, config.initialization);
+
+			run = new EvolutionaryAlgorithmRun(this, population, config);
 		}
 
-		ret.push('fitness: ' + this.fitness);
+		while(!run.isFinished())
+			run.step();
 
-		return ret.join(', ');
+		return run.getSummary();
 	},
 
-	toArray: function()
+	/**
+	 * Run algorithm asynchronously, fitness of new individuals is evaluated before selection and replacement.
+	 *
+	 * @param   object  config  Configuration, same as for run.
+	 *
+	 * @return  Promise         Promise resolved with run summary.
+	 */
+	runAsync: function(config)
 	{
-		var variables = this.variables;
+		config = config || {};
 
-		var ret = [];
+		var algorithm  = this;
+		var population = config.population;
 
-		for(var p in variables)
+		// restored individuals are already evaluated
+		if(config.resume)
+			population = Promise.resolve(EvolutionaryAlgorithmRun.fromJSON(config.resume, this, config));
+		else if(population instanceof EvolutionaryAlgorithmPopulation)
+			population = this.evaluateAsync(population.individuals).then(function() { return config.population; });
+		else
+			population = this.initializePopulationAsync(config.populationSize || 20, config.initialization);
+
+		return population.then(function(population)
 		{
-			ret.push(variables[p]);
-		}
+			var run = (population instanceof EvolutionaryAlgorithmRun) ? population : new EvolutionaryAlgorithmRun(algorithm, population, config);
 
-		return ret;
-	}
+			var loop = function()
+			{
+				if(run.isFinished())
+					return run.getSummary();
 
-};
+				return run.stepAsync().then(loop);
+			};
 
-/**
- * Population of individuals.
- *
- * @param  array  algorithm  Algorithm that sreates this population.
- */
-var EvolutionaryAlgorithmPopulation = (function()
-{
-	var Constructor = function(algorithm)
-	{
-		if(!(algorithm instanceof EvolutionaryAlgorithm))
-			throw new Error('First argument must be algorithm that creates this population.');
-		
-		this.algorithm = algorithm;
-		this.individuals = [];
-	};
+			return loop();
+		});
+	},
 
 	/**
-	 * Get n random individuals in population.
+	 * Compare fitness of two individuals. Can be used as sort function to order individuals from best to worst.
 	 *
-	 * @param   array  individuals  Individuals in population.
-	 * @param   int    n            Number of individuals.
+	 * @param   object  a  First individual.
+	 * @param   object  b  Second individual.
 	 *
-	 * @return  array     Array of individuals.
+	 * @return  float      Negative number if first individual is better, positive if second individual is better.
+	 *                     Individuals with multi-objective fitness are compared by Pareto dominance.
 	 */
-	function getRandomParents(individuals, n)
+	compare: function(a, b)
 	{
-		var parents            = new Array(n);
-		var individuals_length = individuals.length;
+		if(this.objectives)
+			return (this.dominates(a, b)) ? -1 : ((this.dominates(b, a)) ? 1 : 0);
 
-		for(var i=0; i<n; i++)
-		{
-			var index = Math.floor(Math.random() * individuals_length);
+		var feasibility = this.compareFeasibility(a, b);
 
-			parents[i] = individuals[index];
-		}
+		if(feasibility !== 0)
+			return feasibility;
 
-		return parents;
-	}
+		var fa = this.getPenalizedFitness(a);
+		var fb = this.getPenalizedFitness(b);
+
+		return (this.objective == 'min') ? fa - fb : fb - fa;
+	},
 
 	/**
-	 * Get n best individuals in population.
+	 * Compare individuals by feasibility rules. Feasible individual is better than infeasible one
+	 * and infeasible individual with smaller violation is better. Used only with feasibility constraint handling.
 	 *
-	 * @param   array   individuals  Individuals in population.
-	 * @param   int     n            Number of individuals.
+	 * @param   object  a  First individual.
+	 * @param   object  b  Second individual.
 	 *
-	 * @return  array     Array of best individuals.
+	 * @return  float      Negative number if first individual is better, positive if second individual is better, zero if fitness decides.
 	 */
-	function getBestParents(individuals, n)
+	compareFeasibility: function(a, b)
 	{
-		// make copy of array
-		individuals = individuals.slice(0);
+		if(this.constraints.length === 0 || this.constraint_handling != 'feasibility')
+			return 0;
 
-		individuals.sort(function(a, b) {
-			return b.fitness - a.fitness;
-		});
+		var va = a.violation || 0;
+		var vb = b.violation || 0;
 
-		return individuals.slice(0, n);
-	}
+		if(va > 0 || vb > 0)
+			return va - vb;
+
+		return 0;
+	},
 
 	/**
-	 * Get n individuals from population using roulette method.
+	 * Check if first individual dominates second one, i.e. it is not worse in any objective and it is better in at least one.
 	 *
-	 * @param   array   individuals   Individuals in population.
-	 * @param   string  method        Method to use.
-	 * @param   int     n             Number of individuals.
-	 * @param   bool    shuffleOrder  Shuffle order of individuals. This is used only for univerzal method.
+	 * @param   object   a  First individual.
+	 * @param   object   b  Second individual.
 	 *
-	 * @return  array                 Array of individuals.
+	 * @return  boolean
 	 */
-	function getParentsFromRoulette(individuals, method, n, shuffleOrder)
+	dominates: function(a, b)
 	{
-		var fitnessValues = individuals.slice(0).map(function(individual)
-		{
-			return Math.max(0, individual.fitness);
-		});
-		var parents       = new Array(n);
-		var i             = 0; // parent counter
-		var rouletteSize  = 0;
-		var replacement   = function() { };
+		var feasibility = this.compareFeasibility(a, b);
 
-		switch(method)
-		{
-			default:
-			case 'with_replacement':
-			case 'without_replacement':
-				// compute size of roulette
-				rouletteSize = individuals.reduce(function(a, b)
-				{
-					return {fitness: a.fitness + Math.max(0, b.fitness)};
-				}, {fitness: 0}).fitness;
+		if(feasibility !== 0)
+			return (feasibility < 0);
 
-				if(rouletteSize === 0)
-					return [];
-				break;
-			case 'remainder_with_replacement':
-			case 'remainder_without_replacement':
-				individuals.forEach(function(individual)
-				{
-					// get only whole part of fitness
-					var wholePart = Math.floor(Math.max(0, individual.fitness));
+		var objectives = this.objectives || [this.objective];
+		var fa         = this.getPenalizedFitness(a);
+		var fb         = this.getPenalizedFitness(b);
+		var better     = false;
 
-					for(var j=0; j<wholePart; j++, i++)
-						parents[i] = individual;
-				});
+		if(!this.objectives)
+		{
+			fa = [fa];
+			fb = [fb];
+		}
 
-				// compute size of roulette only from decimal part of fitness
-				rouletteSize = individuals.reduce(function(a, b)
-				{
-					return {fitness: a.fitness + Math.max(0, b.fitness) % 1};
-				}, {fitness: 0}).fitness;
+		for(var o=0, len=objectives.length; o<len; o++)
+		{
+			var difference = (objectives[o] == 'min') ? fb[o] - fa[o] : fa[o] - fb[o];
 
-				if(rouletteSize === 0)
-					return parents;
+			if(difference < 0)
+				return false;
 
-				fitnessValues = fitnessValues.map(function(fitness)
-				{
-					return (Math.max(0, fitness) % 1);
-				});
-				break;
-			case 'univerzal':
-				shuffleOrder = shuffleOrder || false;
-				var keys     = Object.keys(individuals);
+			if(difference > 0)
+				better = true;
+		}
 
-				if(shuffleOrder)
-				{
-					// randomly shuffle order of individuals
-					for(var a=0, len=keys.length; a<len; a++)
-					{
-						var b = a + Math.round(Math.random() * (len - a - 1));
-						var temp = keys[a];
-						keys[a] = keys[b];
-						keys[b] = temp;
-					}
-				}
+		return better;
+	},
 
-				// compute size of roulette
-				rouletteSize = individuals.reduce(function(a, b)
-				{
-					return {fitness: a.fitness + Math.max(0, b.fitness)};
-				}, {fitness: 0}).fitness;
+	/**
+	 * Get distance of genotypes of two individuals. Values of INT and REAL variables are compared by Euclidean distance
+	 * and other values (BOOL, PERMUTATION, bits of BINARY variables) by Hamming distance, both parts are summed.
+	 * Variables missing in one of individuals are counted as different. Custom distance function of algorithm is used when given.
+	 *
+	 * @param   object  a  First individual.
+	 * @param   object  b  Second individual.
+	 *
+	 * @return  float
+	 */
+	getDistance: function(a, b)
+	{
+		if(this.distance)
+			return this.distance(a, b);
 
-				if(rouletteSize === 0)
-					return [];
+		var squares = 0;
+		var hamming = 0;
+		var variable;
 
-				var pointerStep = rouletteSize / n;
+		for(variable in a.genotype)
+		{
+			if(!a.genotype.hasOwnProperty(variable))
+				continue;
 
-				// compute start position
-				var roulette_position = Math.random() * pointerStep;
+			if(!b.genotype.hasOwnProperty(variable))
+			{
+				hamming++;
+				continue;
+			}
 
-				var f = 0;
-				var j = 0;
+			var va   = a.genotype[variable];
+			var vb   = b.genotype[variable];
+			var type = this.getVariableSchema(variable).type;
 
-				// select n parents
-				for(i; i<n; i++)
+			if(type == 'INT' || type == 'REAL')
+				squares += (va - vb) * (va - vb);
+			else if(type == 'TREE')
+			{
+				if(JSON.stringify(va) !== JSON.stringify(vb))
+					hamming++;
+			}
+			else if(type == 'BINARY')
+			{
+				for(var i=0, len=va.length; i<len; i++)
 				{
-					// find parent that is at computed position in roulette
-					while(f < roulette_position)
-						f += Math.max(0, fitnessValues[keys[j++]]);
-					
-					parents[i] = individuals[keys[j-1]];
-
-					roulette_position += pointerStep;
+					if(va[i] != vb[i])
+						hamming++;
 				}
-
-				return parents;
+			}
+			else if(va != vb)
+				hamming++;
 		}
 
-		if(method == 'without_replacement' || method == 'remainder_without_replacement')
+		for(variable in b.genotype)
 		{
-			replacement = function(j)
-			{
-				rouletteSize--;
-				fitnessValues[j] = Math.max(0, fitnessValues[j]-1);
-			};
+			if(b.genotype.hasOwnProperty(variable) && !a.genotype.hasOwnProperty(variable))
+				hamming++;
 		}
 
-		// select n parents
-		for(i; i<n; i++)
-		{
-			// twist roulette
-			roulette_position = Math.random() * rouletteSize;
-
-			// find parent that is at computed position in roulette
-			f = 0;
-			j = 0;
-			while(f < roulette_position)
-				f += fitnessValues[j++];
-			
-			parents[i] = individuals[j-1];
+		return Math.sqrt(squares) + hamming;
+	},
 
-			// call replacement function
-			replacement(j);
-		}
+	/**
+	 * Get fitness of individual with penalty for violated constraints. Fitness is not changed with feasibility constraint handling.
+	 * Size of expression trees is penalized with parsimony coefficient.
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  mixed               Penalized fitness, array for multi-objective fitness.
+	 */
+	getPenalizedFitness: function(individual)
+	{
+		var violation = individual.violation || 0;
+		var penalty   = (this.parsimony && this.tree) ? this.parsimony * this.getTreeSize(individual) : 0;
 
-		return parents;
-	}
+		if(violation > 0 && this.constraint_handling != 'feasibility')
+			penalty += this.penalty * violation;
 
-	Constructor.prototype = {
-		/**
-		 * Count individuals in population.
-		 *
-		 * @return  int
-		 */
-		get count()
-		{
-			return this.individuals.length;
-		},
+		if(penalty === 0)
+			return individual.fitness;
 
-		/**
-		 * Insert individual to population.
-		 *
-		 * @param   object  individual
-		 *
-		 * @return  void
-		 */
-		push: function(individual)
+		if(this.objectives)
 		{
-			if(!(individual instanceof EvolutionaryAlgorithmIndividual))
-				throw new Error('Population must consists only from EvolutionaryAlgorithmIndividual objects.');
+			return this.objectives.map(function(objective, o)
+			{
+				return (objective == 'min') ? individual.fitness[o] + penalty : individual.fitness[o] - penalty;
+			});
+		}
 
-			this.individuals.push(individual);
-		},
+		return (this.objective == 'min') ? individual.fitness + penalty : individual.fitness - penalty;
+	},
 
-		/**
-		 * Check if population has given individual.
-		 *
-		 * @param   object   individual
-		 *
-		 * @return  boolean
-		 */
-		hasIndividual: function(individual)
-		{
-			return (this.individuals.indexOf(individual) != -1);
-		},
+	/**
+	 * Compute violation of constraints by individual. Total violation and feasibility are stored in individual (violation, feasible).
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  float               Total violation.
+	 */
+	checkConstraints: function(individual)
+	{
+		var violation = 0;
 
-		/**
-		 * Get n best individuals in population.
-		 *
-		 * @param   string  method   Method to use.
-		 * @param   int     n        Number of individuals.
-		 * @param   object  options  Some other settings for methods.
-		 *
-		 * @return  array      Array of best individuals.
-		 */
-		getParents: function(method, n, options)
+		for(var c=0, len=this.constraints.length; c<len; c++)
 		{
-			switch(method)
-			{
-				case 'best':
-					return getBestParents(this.individuals, n);
-				case 'roulette':
-					var rouletteMethod = options.rouletteMethod || 'with_replacement';
-					return getParentsFromRoulette(this.individuals, rouletteMethod, n, options.shuffleOrder);
-				case 'random':
-					return getRandomParents(this.individuals, n);
-				default:
-
-			}
+			var amount = this.constraints[c](individual);
 
-			return [];
-		},
+			if(amount > 0)
+				violation += amount;
+		}
 
-		/**
-		 * Method to get groups of parents, that goes to crossover.
-		 *
-		 * @param   array   parents     Selected parents.
-		 * @param   int     n           Number of groups.
-		 * @param   string  method      Method to use.
-		 * @param   int     group_size  Number of parents in group.
-		 *
-		 * @return  array               Groups.
-		 */
-		getParentGroups: function(parents, n, method, group_size)
-		{
-			if(!parents || parents.length === 0)
-				return [];
+		individual.violation = violation;
+		individual.feasible  = (violation === 0);
 
-			n = n || 0;
+		return violation;
+	},
 
-			if(n == 0)
-				return [];
+	/**
+	 * Apply user repair function to new individual. Variables changed by repair function are encoded back to genotype.
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  object              Repaired individual.
+	 */
+	repairIndividual: function(individual)
+	{
+		if(!this.repair)
+			return individual;
 
-			group_size = group_size || 2;
+		this.repair(individual, this);
 
-			var parents_length = parents.length;
-			var groups         = [];
+		var genotype = {};
 
-			switch(method)
+		for(var variable in individual.variables)
+		{
+			if(individual.variables.hasOwnProperty(variable))
 			{
-				default:
-				case 'random':
-					for(var i=0; i<n; i++)
-					{
-						var p1 = parents[Math.floor(Math.random() * parents_length)];
-						var p2 = parents[Math.floor(Math.random() * parents_length)];
+				genotype[variable] = this.encodeValue(variable, individual.variables[variable]);
 
-						groups.push([p1, p2]);
-					}
-					break;
+				// value of BINARY variable is rounded to representable one
+				individual.variables[variable] = this.decodeValue(variable, genotype[variable]);
 			}
+		}
 
-			return groups;
-		},
+		individual.genotype = genotype;
 
-		/**
-		 * Method to make crossover.
-		 *
-		 * @param   array   groups   Array of groups.
-		 * @param   string  method   Method to use.
-		 * @param   object  options  Options.
-		 *
-		 * @return  array            Created children.
-		 */
-		crossover: function(groups, method, options)
+		this.checkConstraints(individual);
+
+		return individual;
+	},
+
+	/**
+	 * Update coefficient of adaptive penalty of population by feasibility of its best individual. Coefficient is increased
+	 * when best individuals of whole period were infeasible and decreased when they were all feasible.
+	 * Updated coefficient of population is used by algorithm.
+	 *
+	 * @param   object  population  Population with coefficient (penalty) and feasibility of best individuals in current period (penalty_history).
+	 *
+	 * @return  void
+	 */
+	updatePenalty: function(population)
+	{
+		var best = population.getBest();
+
+		if(this.constraint_handling != 'adaptive' || !best)
+			return;
+
+		var adaptation = this.penalty_adaptation;
+		var history    = population.penalty_history;
+
+		history.push(best.feasible);
+
+		if(history.length >= adaptation.period)
 		{
-			if(!groups || groups.length === 0)
-				return [];
+			if(history.every(function(feasible) { return feasible; }))
+				population.penalty /= adaptation.decrease;
+			else if(history.every(function(feasible) { return !feasible; }))
+				population.penalty *= adaptation.increase;
 
-			options = options || {};
+			history.length = 0;
+		}
 
-			var groups_length = groups.length;
-			var children      = [];
+		this.penalty = population.penalty;
+	},
 
-			var fitnessFunction = this.algorithm.fitnessFunction;
-			var crossover_function;
+	/**
+	 * Create normalized schema of variable.
+	 *
+	 * @param   string  name        Name of variable.
+	 * @param   object  definition  Definition of variable. (type, min, max, bits, gray)
+	 *
+	 * @return  object              Schema of variable.
+	 */
+	createVariableSchema: function(name, definition)
+	{
+		definition = definition || {};
 
-			switch(method)
-			{
-				default:
-				case 'one_point':
-					var different_points = options.different_points || false;
+		var type     = (definition.type || this.number_coding).toUpperCase();
+		var interval = this.interval || [];
 
-					crossover_function = function(items)
-					{
-						var size = items.length;
+		var variable_schema = {
+			type: type,
+			min:  (definition.min === undefined) ? interval[0] : definition.min,
+			max:  (definition.max === undefined) ? interval[1] : definition.max
+		};
 
-						if(size == 0)
-							return [];
+		switch(type)
+		{
+			case 'BOOL':
+				variable_schema.min = 0;
+				variable_schema.max = 1;
+				break;
+			case 'TREE':
+				// functions are given as function or object {arity, fn}
+				variable_schema.functions = {};
 
-						if(size == 1)
-							return items[0];
+				for(var function_name in definition.functions)
+				{
+					if(!definition.functions.hasOwnProperty(function_name))
+						continue;
 
-						var probability = options.probability || 1;
+					var f = definition.functions[function_name];
 
-						if(probability != 1 && Math.random() > probability)
-							return items;
+					if(Object.prototype.toString.call(f) === '[object Function]')
+						f = {arity: f.length, fn: f};
 
-						// get variables from parents
-						var p1 = items[0].toArray();
-						var p2 = items[1].toArray();
+					if(!f || Object.prototype.toString.call(f.fn) !== '[object Function]' || !(f.arity >= 1) || f.arity % 1 !== 0)
+						throw new Error('Function ' + function_name + ' of variable ' + name + ' must be valid function with arity at least 1.');
 
-						if(p1.length < 2 || p2.length < 2)
-							return [];
+					variable_schema.functions[function_name] = {arity: f.arity, fn: f.fn};
+				}
 
-						// compute cut indexes
-						var index1 = Math.round(Math.random() * p1.length - 2) + 1;
-						var index2 = (different_points) ? Math.round(Math.random() * p2.length - 2) + 1 : index1;
+				variable_schema.terminals  = definition.terminals || [];
+				variable_schema.constants  = definition.constants || null; // interval of random constants
+				variable_schema.minDepth   = definition.minDepth || 2;
+				variable_schema.maxDepth   = definition.maxDepth || 6;
+				variable_schema.depthLimit = definition.depthLimit || 17;
 
-						// crossover
-						var v1 = p1.slice(0, index1).concat(p2.slice(index2));
-						var v2 = p2.slice(0, index2).concat(p1.slice(index1));
+				if(Object.keys(variable_schema.functions).length === 0 || (variable_schema.terminals.length === 0 && !variable_schema.constants))
+					throw new Error('Variable ' + name + ' must have functions and terminals or constants.');
+				break;
+			case 'BINARY':
+				variable_schema.bits = definition.bits || this.bits;
+				variable_schema.gray = (definition.gray === undefined) ? this.gray : definition.gray;
+
+				if(variable_schema.bits < 1 || variable_schema.bits > 52 || variable_schema.bits % 1 !== 0)
+					throw new Error('Variable ' + name + ' must have from 1 to 52 bits.');
+				// fall through
+			case 'INT':
+			case 'REAL':
+			case 'PERMUTATION':
+				if(typeof variable_schema.min !== 'number' || typeof variable_schema.max !== 'number' || variable_schema.min > variable_schema.max)
+					throw new Error('Variable ' + name + ' must have valid min and max value.');
+				break;
+			default:
+				throw new Error('Unsupported type ' + type + ' of variable ' + name + '.');
+		}
 
-						var ret = [];
+		return variable_schema;
+	},
 
-						// create new childrens
-						var v1_keys = Object.keys(v1);
-						if(v1_keys.length > 0)
-						{
-							var ch1 = new EvolutionaryAlgorithmIndividual(v1_keys, function(individual, v) { return v1[v]; }, fitnessFunction);
-							ret.push(ch1);
-						}
+	/**
+	 * Get schema of variable. Variables that are not declared (e.g. in individuals with variable length) use interval and number coding of algorithm.
+	 *
+	 * @param   string  variable  Name of variable.
+	 *
+	 * @return  object            Schema of variable. (type, min, max)
+	 */
+	getVariableSchema: function(variable)
+	{
+		return this.schema[variable] || this.createVariableSchema(variable, null);
+	},
 
-						var v2_keys = Object.keys(v2);
-						if(v2_keys.length > 0)
-						{
-							var ch2 = new EvolutionaryAlgorithmIndividual(v2_keys, function(individual, v) { return v2[v]; }, fitnessFunction);
-							ret.push(ch2);
-						}
+	/**
+	 * Generate random value of variable. BINARY variables are generated as bit strings and TREE variables by ramped half-and-half method.
+	 *
+	 * @param   string  variable  Name of variable.
+	 *
+	 * @return  mixed
+	 */
+	generateValue: function(variable)
+	{
+		var variable_schema = this.getVariableSchema(variable);
 
-						return ret;
-					}
-					break;
-				case 'mean':
-					crossover_function = function(items)
-					{
-						var size = items.length;
+		switch(variable_schema.type)
+		{
+			case 'TREE':
+				// ramped half-and-half, depth and method are chosen randomly for every tree
+				var depth = variable_schema.minDepth + Math.floor(this.random() * (variable_schema.maxDepth - variable_schema.minDepth + 1));
+
+				return this.generateTree(variable, depth, (this.random() < 0.5) ? 'full' : 'grow');
+			case 'BINARY':
+				var bits = new Array(variable_schema.bits);
+
+				for(var b=0; b<variable_schema.bits; b++)
+					bits[b] = (this.random() < 0.5) ? 1 : 0;
+
+				return bits;
+			case 'BOOL':
+				return this.random() < 0.5;
+			case 'INT':
+			case 'PERMUTATION':
+				return Math.round((this.random() * (variable_schema.max - variable_schema.min)) + variable_schema.min);
+			default:
+				return (this.random() * (variable_schema.max - variable_schema.min)) + variable_schema.min;
+		}
+	},
 
-						if(size == 0)
-							return [];
+	/**
+	 * Generate random expression tree. Function node is array [name, arguments...], terminal is name of terminal or constant.
+	 *
+	 * @param   string  variable  Name of TREE variable.
+	 * @param   int     depth     Maximal depth of tree.
+	 * @param   string  method    Method of generation: full (all terminals are in maximal depth) or grow.
+	 *
+	 * @return  mixed             Tree.
+	 */
+	generateTree: function(variable, depth, method)
+	{
+		var variable_schema = this.getVariableSchema(variable);
+		var functions       = Object.keys(variable_schema.functions);
+		var terminals_count = variable_schema.terminals.length + ((variable_schema.constants) ? 1 : 0);
 
-						var probability = options.probability || 1;
+		// grow method can choose terminal before maximal depth
+		var terminal = (depth <= 1) || (method == 'grow' && this.random() < terminals_count / (terminals_count + functions.length));
 
-						if(probability < 1 && Math.random() > probability)
-							return items[0];
+		if(terminal)
+			return this.generateTerminal(variable);
 
-						if(size == 1)
-							return items[0];
+		var name = functions[Math.floor(this.random() * functions.length)];
+		var node = [name];
 
-						// get variables from parents
-						var p1 = items[0].toArray();
-						var p2 = items[1].toArray();
+		for(var a=0; a<variable_schema.functions[name].arity; a++)
+			node.push(this.generateTree(variable, depth - 1, method));
 
-						var ch = [];
+		return node;
+	},
 
-						var min_individual_length = Math.min(p1.length, p2.length);
+	/**
+	 * Generate random terminal of expression tree. Random constant is one of terminals, when interval of constants is given.
+	 *
+	 * @param   string  variable  Name of TREE variable.
+	 *
+	 * @return  mixed             Name of terminal or constant.
+	 */
+	generateTerminal: function(variable)
+	{
+		var variable_schema = this.getVariableSchema(variable);
+		var terminals       = variable_schema.terminals;
+		var constants       = variable_schema.constants;
+		var index           = Math.floor(this.random() * (terminals.length + ((constants) ? 1 : 0)));
 
-						for(var i=0; i<min_individual_length; i++)
-							ch[i] = (p1[i] + p2[i]) / 2;
+		if(index < terminals.length)
+			return terminals[index];
 
-						var ch_keys = Object.keys(ch);
+		return constants[0] + this.random() * (constants[1] - constants[0]);
+	},
 
-						return new EvolutionaryAlgorithmIndividual(ch_keys, function(individual, v) { return ch[v]; }, fitnessFunction);
-					}
-					break;
-			}
+	/**
+	 * Compile expression tree to function, which gets object with values of terminals. Function has tree in property tree
+	 * and it is converted to string as expression.
+	 *
+	 * @param   string    variable  Name of TREE variable.
+	 * @param   mixed     tree      Tree.
+	 *
+	 * @return  function
+	 */
+	compileTree: function(variable, tree)
+	{
+		var functions = this.getVariableSchema(variable).functions;
 
-			// cross all groups and create children
-			for(var i=0; i<groups_length; i++)
+		var compile = function(node)
+		{
+			if(Object.prototype.toString.call(node) === '[object Array]')
 			{
-				children = children.concat(crossover_function(groups[i]));
+				var fn       = functions[node[0]].fn;
+				var children = node.slice(1).map(compile);
+
+				return function(terminals)
+				{
+					return fn.apply(null, children.map(function(child) { return child(terminals); }));
+				};
 			}
 
-			return children;
-		},
+			if(typeof node === 'number')
+				return function() { return node; };
 
-		/**
-		 * Method to meke mutation
-		 *
-		 * @param   array   parents  Individuals to mutate.
-		 * @param   string  method   Method to use.
-		 * @param   object  options  Options.
-		 *
-		 * @return  array            Mutated individuals
-		 */
-		mutation: function(parents, method, options)
-		{
-			if(!parents || parents.length === 0)
-				return [];
+			return function(terminals) { return terminals[node]; };
+		};
 
-			options = options || {};
+		var compiled = compile(tree);
+		var program  = function(terminals) { return compiled(terminals || {}); };
 
-			var algorithm = this.algorithm;
-			var interval  = algorithm.interval;
+		program.tree     = tree;
+		program.toString = function() { return EvolutionaryAlgorithm.prototype.treeToString(tree); };
 
-			var parents_length = parents.length;
-			var children       = new Array(parents_length);
+		return program;
+	},
 
-			var getVariables;	// function to get new variables for children
-			var generateFunction;
-			var fitnessFunction = algorithm.fitnessFunction;
+	/**
+	 * Convert expression tree to string, e.g. add(x, mul(x, 2)).
+	 *
+	 * @param   mixed   tree
+	 *
+	 * @return  string
+	 */
+	treeToString: function(tree)
+	{
+		if(Object.prototype.toString.call(tree) !== '[object Array]')
+			return String(tree);
 
-			var f;
-			var current_individual_data;
+		return tree[0] + '(' + tree.slice(1).map(EvolutionaryAlgorithm.prototype.treeToString).join(', ') + ')';
+	},
 
-			switch(method)
-			{
-				case 'extremal_mutation':
-					if(this.algorithm.number_coding == 'INT')
-						f = function() { return Math.round((Math.random() > 0.5) ? interval[1] : interval[0]); };
-					else
-						f = function() { return (Math.random() > 0.5) ? interval[1] : interval[0]; };
-					// fall through
-				default:
-				case 'uniform_mutation':
-					var max_percent_change  = options.max_percent_change || 1;
+	/**
+	 * Get number of nodes in all expression trees of individual.
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  int
+	 */
+	getTreeSize: function(individual)
+	{
+		var size = 0;
 
-					if(f == undefined)
-					{
-						var range      = interval[1] - interval[0];
-						var max_change = range * max_percent_change;
+		var count = function(node)
+		{
+			size++;
 
-						if(this.algorithm.number_coding == 'INT')
-							f = function(cur_value) {
-								var change = (Math.random() * max_change * 2) - max_change; // from -max_change to +max_change
-								
-								return Math.max(interval[0], Math.min(interval[1], Math.round(cur_value + change))); // stay in interval
-							};
-						else
-							f = function(cur_value) {
-								var change = (Math.random() * max_change * 2) - max_change; // from -max_change to +max_change
-								
-								return Math.max(interval[0], Math.min(interval[1], cur_value + change)); // stay in interval
-							};
-					}
+			if(Object.prototype.toString.call(node) === '[object Array]')
+				node.slice(1).forEach(count);
+		};
 
-					var probability = options.probability || 0.1;
+		for(var variable in individual.genotype)
+		{
+			if(individual.genotype.hasOwnProperty(variable) && this.getVariableSchema(variable).type == 'TREE')
+				count(individual.genotype[variable]);
+		}
 
-					getVariables = function(i)
-					{
-						current_individual_data = parents[i].variables;
-						var variable_keys = Object.keys(current_individual_data);
+		return size;
+	},
 
-						return variable_keys;
-					};
+	/**
+	 * Decode genotype value of variable. Only BINARY variables have different genotype and decoded value.
+	 * TREE variables are compiled to functions.
+	 *
+	 * @param   string  variable  Name of variable.
+	 * @param   mixed   value     Genotype value.
+	 *
+	 * @return  mixed             Decoded value.
+	 */
+	decodeValue: function(variable, value)
+	{
+		var variable_schema = this.getVariableSchema(variable);
 
-					generateFunction = function(individual, variable, k)
-					{
-						var cur_value = current_individual_data[variable];
+		if(variable_schema.type == 'TREE')
+			return this.compileTree(variable, value);
 
-						return (Math.random() <= probability) ? f(cur_value) : cur_value;
-					};
-					break;
-				case 'shrink_mutation':
-					var max_shrink_size  = options.max_shrink_size || 5;
+		if(variable_schema.type != 'BINARY')
+			return value;
 
-					getVariables = function(i)
-					{
-						var parent = parents[i];
+		var integer = 0;
+		var bit     = 0;
 
-						var variable_keys    = Object.keys(parent.variables);
-						var variables_length = variable_keys.length;
-						var start_pos        = Math.round(Math.random() * variables_length);
-						var shrink_size      = Math.round(Math.random() * max_shrink_size);
+		for(var b=0; b<variable_schema.bits; b++)
+		{
+			// gray code is converted to binary code
+			bit     = (variable_schema.gray) ? bit ^ value[b] : value[b];
+			integer = integer * 2 + bit;
+		}
 
-						current_individual_data = parent.toArray();
-						current_individual_data.splice(start_pos, shrink_size);
+		return variable_schema.min + integer * (variable_schema.max - variable_schema.min) / (Math.pow(2, variable_schema.bits) - 1);
+	},
 
-						return Array.apply(null, new Array(current_individual_data.length)).map(function (_, i) { return i; });
-					};
+	/**
+	 * Encode value of variable to genotype. Value of BINARY variable is rounded to nearest value that can be represented.
+	 *
+	 * @param   string  variable  Name of variable.
+	 * @param   mixed   value     Decoded value.
+	 *
+	 * @return  mixed             Genotype value.
+	 */
+	encodeValue: function(variable, value)
+	{
+		var variable_schema = this.getVariableSchema(variable);
 
-					generateFunction = function(individual, variable)
-					{
-						return current_individual_data[variable];
-					};
-					break;
-				case 'growth_mutation':
-					var max_growth_size = options.max_growth_size || 5;
+		// compiled tree keeps its genotype
+		if(variable_schema.type == 'TREE')
+			return (Object.prototype.toString.call(value) === '[object Function]') ? value.tree : value;
 
-					getVariables = function(i)
-					{
-						var parent = parents[i];
+		if(variable_schema.type != 'BINARY')
+			return value;
 
-						var variable_keys    = Object.keys(parent.variables);
-						var variables_length = variable_keys.length;
-						var pos              = Math.round(Math.random() * variables_length); // position to insert
-						var growth_size      = Math.round(Math.random() * max_growth_size);
+		var max_integer = Math.pow(2, variable_schema.bits) - 1;
+		var range       = variable_schema.max - variable_schema.min;
+		var integer     = (range > 0) ? Math.round((value - variable_schema.min) / range * max_integer) : 0;
+		var bits        = new Array(variable_schema.bits);
+		var b;
 
-						var variables = Array.apply(null, new Array(growth_size)).map(function () {
-							return Math.round((Math.random() * (interval[1] - interval[0])) + interval[0]);
-						});
+		integer = Math.max(0, Math.min(max_integer, integer));
 
-						current_individual_data = parent.toArray();
-						variables.unshift(0);
-						variables.unshift(pos);
-						Array.prototype.splice.apply(current_individual_data, variables);
+		for(b=variable_schema.bits-1; b>=0; b--)
+		{
+			bits[b] = integer % 2;
+			integer = Math.floor(integer / 2);
+		}
 
-						return Array.apply(null, new Array(current_individual_data.length)).map(function (_, i) {return i;});
-					};
+		// convert binary code to gray code
+		if(variable_schema.gray)
+		{
+			for(b=variable_schema.bits-1; b>0; b--)
+				bits[b] = bits[b] ^ bits[b-1];
+		}
 
-					generateFunction = function(individual, variable)
-					{
-						return current_individual_data[variable];
-					};
-					break;
-				case 'swap_mutation':
-					var max_swap_size = options.max_swap_size || 5;
+		return bits;
+	},
 
-					getVariables = function(i)
-					{
-						var parent = parents[i];
+	/**
+	 * Compute fitness of individual. Evaluation is skipped inside createUnevaluated.
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  float
+	 */
+	evaluate: function(individual)
+	{
+		if(this.deferred_evaluation)
+			return undefined;
 
-						var variable_keys    = Object.keys(parent.variables);
-						var variables_length = variable_keys.length;
-						var swap_size        = Math.round(Math.random() * max_swap_size);
-						var max_index        = variables_length - swap_size;
-						var pos1             = Math.round(Math.random() * max_index);
-						var pos2             = Math.min(Math.round(Math.random() * (max_index - pos1)) + pos1, max_index);
+		var key;
 
-						current_individual_data = parent.toArray();
-						var data2 = current_individual_data.slice(pos2, pos2 + swap_size);
-						data2.unshift(swap_size);
-						data2.unshift(pos1);
-						var data1 = Array.prototype.splice.apply(current_individual_data, data2);
-						data1.unshift(swap_size);
-						data1.unshift(pos2);
-						Array.prototype.splice.apply(current_individual_data, data1);
+		if(this.cache)
+		{
+			key = this.getGenotypeKey(individual);
 
-						return variable_keys;
-					};
+			var cached = this.cache.get(key);
 
-					generateFunction = function(individual, variable)
-					{
-						return current_individual_data[variable];
-					};
-					break;
-				case 'replace_mutation':
-					var max_replace_size = options.max_replace_size || 5;
-					var max_insert_size  = options.max_insert_size || 5;
+			if(cached !== undefined)
+				return cached;
+		}
 
-					max_replace_size++;
-					max_insert_size++;
+		var fitness = (this.batch_evaluation) ? this.fitnessFunction([individual]) : this.fitnessFunction(individual);
 
-					getVariables = function(i)
-					{
-						var parent = parents[i];
+		this.evaluations++;
 
-						var variable_keys    = Object.keys(parent.variables);
-						var variables_length = variable_keys.length;
-						var start_pos        = Math.floor(Math.random() * variables_length);
-						var replace_size     = Math.floor(Math.random() * max_replace_size);
-						var insert_size      = Math.floor(Math.random() * max_insert_size);
+		if(fitness && Object.prototype.toString.call(fitness.then) === '[object Function]')
+			throw new Error('Fitness function returned Promise, asynchronous methods must be used.');
 
-						var variables = Array.apply(null, new Array(insert_size)).map(function () {
-							return Math.round((Math.random() * (interval[1] - interval[0])) + interval[0]);
-						});
+		if(this.batch_evaluation)
+			fitness = fitness[0];
 
-						current_individual_data = parent.toArray();
-						variables.unshift(replace_size);
-						variables.unshift(start_pos);
-						Array.prototype.splice.apply(current_individual_data, variables);
+		if(this.cache)
+			this.cache.set(key, fitness);
 
-						return Array.apply(null, new Array(current_individual_data.length)).map(function (_, i) {return i;});
-					};
+		return fitness;
+	},
 
-					generateFunction = function(individual, variable)
-					{
-						return current_individual_data[variable];
-					};
-					break;
+	/**
+	 * Get canonical key of individual's genotype. Individuals with the same key have the same fitness.
+	 *
+	 * @param   object  individual
+	 *
+	 * @return  string
+	 */
+	getGenotypeKey: function(individual)
+	{
+		var genotype = individual.genotype;
+
+		return JSON.stringify(Object.keys(genotype).map(function(variable)
+		{
+			return [variable, genotype[variable]];
+		}));
+	},
+
+	/**
+	 * Call function, while individuals are created without evaluation of fitness.
+	 *
+	 * @param   function  callback
+	 *
+	 * @return  mixed               Value returned from callback.
+	 */
+	createUnevaluated: function(callback)
+	{
+		var deferred_evaluation = this.deferred_evaluation;
+
+		this.deferred_evaluation = true;
+
+		try
+		{
+			return callback();
+		}
+		finally
+		{
+			this.deferred_evaluation = deferred_evaluation;
+		}
+	},
+
+	/**
+	 * Evaluate fitness of individuals that were not evaluated yet. Fitness function can return Promise
+	 * and in batch mode it gets array of individuals. Number of evaluations running at once is limited by concurrency option.
+	 *
+	 * @param   array  individuals
+	 *
+	 * @return  Promise             Promise resolved with given individuals.
+	 */
+	evaluateAsync: function(individuals)
+	{
+		var algorithm  = this;
+		var cache      = this.cache;
+		var pending    = [];
+		var duplicates = {}; // individuals with the same genotype are evaluated only once
+
+		individuals.forEach(function(individual)
+		{
+			if(individual.fitness !== undefined || pending.indexOf(individual) != -1)
+				return;
+
+			if(cache)
+			{
+				var key    = algorithm.getGenotypeKey(individual);
+				var cached = cache.get(key);
+
+				if(cached !== undefined)
+				{
+					individual.fitness = cached;
+					return;
+				}
+
+				if(duplicates[key])
+				{
+					duplicates[key].push(individual);
+					return;
+				}
+
+				duplicates[key] = [];
 			}
 
-			// mutate all parents and create children
-			for(var i=0; i<parents_length; i++)
+			pending.push(individual);
+		});
+
+		// store fitness of evaluated individual
+		var setFitness = function(individual, fitness)
+		{
+			individual.fitness = fitness;
+
+			algorithm.evaluations++;
+
+			if(cache)
 			{
-				var variables = getVariables(i);
+				var key = algorithm.getGenotypeKey(individual);
 
-				if(variables.length > 0)
-					children[i] = new EvolutionaryAlgorithmIndividual(variables, generateFunction, fitnessFunction);
-				else
-					i--;
+				cache.set(key, fitness);
+
+				duplicates[key].forEach(function(duplicate)
+				{
+					duplicate.fitness = fitness;
+				});
 			}
+		};
 
-			return children;
-		},
+		// split individuals to batches
+		var batch_size = (this.batch_evaluation) ? (this.batch_size || pending.length) : 1;
+		var batches    = [];
 
-		/**
-		 * Method to replace individuals in curent population with new ones
-		 *
-		 * @param   array   parents   Selected parents from curent population.
-		 * @param   array   children  Generated children from genetic operators.
-		 * @param   string  method    Method to use.
-		 * @param   object  options   Options for some methods.
-		 *
-		 * @return  void
-		 */
-		replacement: function(parents, children, method, options)
+		for(var i=0, len=pending.length; i<len; i+=batch_size)
+			batches.push(pending.slice(i, i + batch_size));
+
+		// synchronous error of fitness function rejects returned promise
+		var callFitnessFunction = function(argument)
 		{
-			var individuals_length = this.individuals.length;
-			var newGenerationSize;
+			return new Promise(function(resolve)
+			{
+				resolve(algorithm.fitnessFunction(argument));
+			});
+		};
 
-			switch(method)
+		var evaluateBatch = function(batch)
+		{
+			if(!algorithm.batch_evaluation)
 			{
-				case 'comma_strategy':
-					newGenerationSize = (options && options.newGenerationSize) || individuals_length;
+				return callFitnessFunction(batch[0]).then(function(fitness)
+				{
+					setFitness(batch[0], fitness);
+				});
+			}
 
-					// sort children by fitness
-					children.sort(function(a, b) {
-						return b.fitness - a.fitness;
-					});
+			return callFitnessFunction(batch).then(function(values)
+			{
+				if(!values || values.length != batch.length)
+					throw new Error('Batch fitness function must return one fitness value for each individual.');
 
-					this.individuals = children.slice(0, newGenerationSize);
-					break;
-				case 'separate_competition':
-					var generationGap = (options && options.generationGap) || 0;
-					var num_parents = individuals_length - generationGap;
+				batch.forEach(function(individual, b)
+				{
+					setFitness(individual, values[b]);
+				});
+			});
+		};
 
-					// sort parents by fitness
-					parents.sort(function(a, b) {
-						return b.fitness - a.fitness;
-					});
+		return new Promise(function(resolve, reject)
+		{
+			var concurrency = algorithm.concurrency || Infinity;
+			var next        = 0;
+			var running     = 0;
+			var failed      = false;
 
-					parents = parents.slice(0, num_parents);
+			var launch = function()
+			{
+				if(failed)
+					return;
 
-					// sort children by fitness
-					children.sort(function(a, b) {
-						return b.fitness - a.fitness;
-					});
+				if(next >= batches.length && running === 0)
+					return resolve(individuals);
 
-					this.individuals = parents.concat(children.slice(0, generationGap));
-					break;
-				case 'plus_strategy':
-					newGenerationSize = (options && options.newGenerationSize) || individuals_length;
-					var plus = parents.concat(children);
+				while(running < concurrency && next < batches.length)
+				{
+					running++;
 
-					// sort parents and children by fitness
-					plus.sort(function(a, b) {
-						return b.fitness - a.fitness;
+					evaluateBatch(batches[next++]).then(function()
+					{
+						running--;
+						launch();
+					}, function(error)
+					{
+						failed = true;
+						reject(error);
 					});
+				}
+			};
 
-					this.individuals = plus.slice(0, newGenerationSize);
-					break;
-				default:
-				case 'generational':
-					this.individuals = children;
-			}
+			launch();
+		});
+	},
+
+	/**
+	 * Generate random permutation of all integers from interval.
+	 *
+	 * @return  array
+	 */
+	generatePermutation: function()
+	{
+		var permutation = [];
+
+		for(var value=this.interval[0]; value<=this.interval[1]; value++)
+			permutation.push(value);
+
+		// Fisher-Yates shuffle
+		for(var i=permutation.length-1; i>0; i--)
+		{
+			var j    = Math.floor(this.random() * (i + 1));
+			var temp = permutation[i];
+
+			permutation[i] = permutation[j];
+			permutation[j] = temp;
 		}
-	};
 
-	return Constructor;
-}());
\ No newline at end of file
+		return permutation;
+	},
+
+	/**
+	 * Repair value of variable, so it respects type and bounds of variable.
+	 *
+	 * @param   string  variable  Name of variable.
+	 * @param   mixed   value     Value to repair.
+	 * @param   string  method    Method used for values out of bounds. ('clamp', 'reflect', 'resample') Default is clamp.
+	 *
+	 * @return  mixed             Repaired value.
+	 */
+	repairValue: function(variable, value, method)
+	{
+		var variable_schema = this.getVariableSchema(variable);
+
+		if(variable_schema.type == 'TREE')
+			return value;
+
+		if(variable_schema.type == 'BOOL')
+			return (typeof value === 'boolean') ? value : value >= 0.5;
+
+		// bit strings are always valid, numbers are encoded
+		if(variable_schema.type == 'BINARY')
+		{
+			if(Object.prototype.toString.call(value) !== '[object Array]')
+				return this.encodeValue(variable, value);
+
+			return value.map(function(bit) { return (bit >= 0.5) ? 1 : 0; });
+		}
+
+		var min = variable_schema.min;
+		var max = variable_schema.max;
+
+		if(variable_schema.type != 'REAL')
+			value = Math.round(value);
+
+		if(value >= min && value <= max)
+			return value;
+
+		switch(method)
+		{
+			case 'resample':
+				return this.generateValue(variable);
+			case 'reflect':
+				var range = max - min;
+
+				if(range > 0 && isFinite(value))
+				{
+					// reflect from bounds until value is inside
+					var position = Math.abs(value - min) % (2 * range);
+
+					value = min + ((position > range) ? 2 * range - position : position);
+
+					if(variable_schema.type != 'REAL')
+						value = Math.round(value);
+				}
+				// fall through
+			default:
+			case 'clamp':
+				return Math.max(min, Math.min(max, value));
+		}
+	},
+
+	/**
+	 * Get random number from standard normal distribution (Box-Muller transform) using random number generator of algorithm.
+	 *
+	 * @return  float
+	 */
+	randomGaussian: function()
+	{
+		var u = 1 - this.random(); // avoid logarithm of zero
+
+		return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.random());
+	},
+
+	/**
+	 * Get state of random number generator, so run can be resumed later.
+	 *
+	 * @return  object
+	 */
+	getRandomState: function()
+	{
+		if(Object.prototype.toString.call(this.generator.getState) !== '[object Function]')
+			throw new Error('Random number generator does not support exporting its state.');
+
+		return this.generator.getState();
+	},
+
+	/**
+	 * Restore state of random number generator.
+	 *
+	 * @param   object  state  State returned from getRandomState.
+	 *
+	 * @return  void
+	 */
+	setRandomState: function(state)
+	{
+		if(Object.prototype.toString.call(this.generator.setState) !== '[object Function]')
+			throw new Error('Random number generator does not support restoring its state.');
+
+		this.generator.setState(state);
+	}
+};
+
+/**
+ * Seedable pseudo random number generator (mulberry32).
+ *
+ * @param  mixed  seed  Number or string used as seed. Random seed is used when omitted.
+ */
+var EvolutionaryAlgorithmRandom = (function()
+{
+	var Constructor = function(seed)
+	{
+		if(seed === undefined || seed === null)
+			seed = Math.floor(Math.random() * 4294967296);
+
+		// convert string seeds to number
+		if(typeof seed === 'string')
+		{
+			var hash = 2166136261;
+
+			for(var i=0, len=seed.length; i<len; i++)
+				hash = multiply(hash ^ seed.charCodeAt(i), 16777619);
+
+			seed = hash;
+		}
+
+		this.seed  = seed >>> 0;
+		this.state = this.seed;
+	};
+
+	/**
+	 * Multiply two numbers as 32-bit integers (same as Math.imul).
+	 *
+	 * @param   int  a
+	 * @param   int  b
+	 *
+	 * @return  int
+	 */
+	var multiply = function(a, b)
+	{
+		// low 16 bits of a are multiplied separately, so product of high bits does not lose precision
+		var a_low = a & 0xFFFF;
+
+		return ((((a >>> 16) * b) << 16) + a_low * b) | 0;
+	};
+
+	Constructor.prototype = {
+		constructor: Constructor,
+
+		/**
+		 * Get next random number.
+		 *
+		 * @return  float  Number from interval [0, 1).
+		 */
+		random: function()
+		{
+			var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+			t = multiply(t ^ (t >>> 15), t | 1);
+			t ^= t + multiply(t ^ (t >>> 7), t | 61);
+
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		},
+
+		/**
+		 * Get current state of generator.
+		 *
+		 * @return  object
+		 */
+		getState: function()
+		{
+			return {seed: this.seed, state: this.state};
+		},
+
+		/**
+		 * Restore state of generator.
+		 *
+		 * @param   object  state  State returned from getState.
+		 *
+		 * @return  void
+		 */
+		setState: function(state)
+		{
+			if(!state || typeof state.state !== 'number')
+				throw new Error('Invalid random number generator state.');
+
+			this.seed  = state.seed >>> 0;
+			this.state = state.state >>> 0;
+		}
+	};
+
+	return Constructor;
+}());
+
+/**
+ * State of running algorithm. Used by run and runAsync to make generations until termination criteria are met.
+ *
+ * @param  object  algorithm   Algorithm.
+ * @param  object  population  Population that evolves.
+ * @param  object  config      Configuration (see EvolutionaryAlgorithm.run).
+ */
+function EvolutionaryAlgorithmRun(algorithm, population, config)
+{
+	// convert pipeline step to object
+	var getStep = function(step, default_method)
+	{
+		if(step === null || step === false)
+			return null;
+
+		if(typeof step === 'string')
+			return {method: step, options: {}};
+
+		step = step || {};
+
+		return {
+			method:    step.method || default_method,
+			options:   step.options || {},
+			n:         step.n,
+			groupSize: step.groupSize
+		};
+	};
+
+	this.algorithm  = algorithm;
+	this.population = population;
+
+	this.selection   = getStep(config.selection, 'roulette');
+	this.replacement = getStep(config.replacement, 'generational');
+
+	// chain of genetic operators
+	this.operators = config.operators;
+
+	if(!this.operators)
+	{
+		// default operators must keep genotype valid, expression trees are changed only by tree operators
+		var default_crossover = 'one_point';
+		var default_mutation  = 'uniform_mutation';
+
+		if(algorithm.tree)
+		{
+			default_crossover = 'subtree';
+			default_mutation  = 'subtree_mutation';
+		}
+		else if(algorithm.number_coding == 'PERMUTATION')
+		{
+			default_crossover = 'order';
+			default_mutation  = 'swap_mutation';
+		}
+		else if(algorithm.binary)
+			default_mutation = 'bit_flip_mutation';
+
+		var grouping  = getStep(config.grouping, 'random');
+		var crossover = getStep(config.crossover, default_crossover);
+		var mutation  = getStep(config.mutation, default_mutation);
+
+		this.operators = [];
+
+		if(crossover)
+			this.operators.push({crossover: crossover.method, options: crossover.options, groups: grouping.n, groupMethod: grouping.method, groupSize: grouping.groupSize});
+
+		if(mutation)
+			this.operators.push({mutation: mutation.method, options: mutation.options});
+	}
+
+	// termination criteria
+	this.maxGenerations = (config.maxGenerations === undefined) ? 100 : config.maxGenerations;
+	this.targetFitness  = config.targetFitness;
+	this.stagnation     = config.stagnation || 0;
+	this.timeLimit      = config.timeLimit || 0;
+
+	this.onGeneration  = config.onGeneration;
+	this.onImprovement = config.onImprovement;
+
+	// state of run is given to checkpoint callback every interval of generations
+	this.onCheckpoint       = config.onCheckpoint;
+	this.checkpointInterval = config.checkpointInterval || 1;
+
+	// archive of best individuals found during run
+	if(config.hallOfFame instanceof EvolutionaryAlgorithmHallOfFame)
+		this.hall_of_fame = config.hallOfFame;
+	else if(config.hallOfFame)
+		this.hall_of_fame = new EvolutionaryAlgorithmHallOfFame((typeof config.hallOfFame === 'number') ? config.hallOfFame : undefined);
+	else
+		this.hall_of_fame = null;
+
+	if(this.hall_of_fame)
+		this.hall_of_fame.update(population);
+
+	// statistics of every generation, initial population is recorded too
+	this.times = {selection: 0, operators: 0, replacement: 0}; // duration of steps of last generation in milliseconds
+
+	if(config.statistics instanceof EvolutionaryAlgorithmStatistics)
+		this.statistics = config.statistics;
+	else if(config.statistics)
+		this.statistics = new EvolutionaryAlgorithmStatistics((typeof config.statistics === 'object') ? config.statistics : undefined);
+	else
+		this.statistics = null;
+
+	if(this.statistics)
+		this.statistics.record(population, this.times);
+
+	this.start       = new Date().getTime();
+	this.best        = population.getBest();
+	this.generations = 0;
+	this.stagnating  = 0;
+	this.reason      = null;
+}
+
+EvolutionaryAlgorithmRun.prototype = {
+	constructor: EvolutionaryAlgorithmRun,
+
+	/**
+	 * Check termination criteria.
+	 *
+	 * @return  boolean
+	 */
+	isFinished: function()
+	{
+		if(this.reason !== null)
+			return true;
+
+		if(this.generations >= this.maxGenerations)
+			this.reason = 'max_generations';
+		else if(this.best && this.targetFitness !== undefined && this.isTargetReached())
+			this.reason = 'target_fitness';
+		else if(this.stagnation > 0 && this.stagnating >= this.stagnation)
+			this.reason = 'stagnation';
+		else if(this.timeLimit > 0 && new Date().getTime() - this.start >= this.timeLimit)
+			this.reason = 'time_limit';
+
+		return (this.reason !== null);
+	},
+
+	/**
+	 * Check if best individual reached target fitness. Multi-objective target must be reached in every objective.
+	 *
+	 * @return  boolean
+	 */
+	isTargetReached: function()
+	{
+		var algorithm = this.algorithm;
+		var best      = this.best;
+		var target    = this.targetFitness;
+
+		if(best.feasible === false)
+			return false;
+
+		if(!algorithm.objectives)
+			return algorithm.compare(best, {fitness: target}) <= 0;
+
+		return algorithm.objectives.every(function(objective, o)
+		{
+			return (objective == 'min') ? best.fitness[o] <= target[o] : best.fitness[o] >= target[o];
+		});
+	},
+
+	/**
+	 * Use adaptive penalty coefficient of evolved population in algorithm, which can be shared by more populations (islands).
+	 *
+	 * @return  void
+	 */
+	usePenalty: function()
+	{
+		if(this.algorithm.constraint_handling == 'adaptive')
+			this.algorithm.penalty = this.population.penalty;
+	},
+
+	/**
+	 * Select parents from population. Throws error when selection returns no parents, so population can not become empty.
+	 *
+	 * @return  array
+	 */
+	selectParents: function()
+	{
+		this.usePenalty();
+
+		var selection = this.selection;
+		var parents   = this.population.getParents(selection.method, selection.n || this.population.count, selection.options);
+
+		if(parents.length === 0 && this.population.count > 0)
+			throw new Error('Selection ' + selection.method + ' returned no parents.');
+
+		return parents;
+	},
+
+	/**
+	 * Create new generation from parents and children and call callbacks.
+	 *
+	 * @param   array  parents
+	 * @param   array  children
+	 *
+	 * @return  void
+	 */
+	finishGeneration: function(parents, children)
+	{
+		var algorithm  = this.algorithm;
+		var population = this.population;
+
+		this.usePenalty();
+
+		// create new generation
+		var start = new Date().getTime();
+
+		population.replacement(parents, children, this.replacement.method, this.replacement.options);
+
+		this.times.replacement = new Date().getTime() - start;
+
+		this.generations++;
+
+		if(this.hall_of_fame)
+			this.hall_of_fame.update(population);
+
+		if(this.statistics)
+			this.statistics.record(population, this.times);
+
+		// check improvement
+		var current = population.getBest();
+
+		if(current && (!this.best || algorithm.compare(current, this.best) < 0))
+		{
+			this.best       = current;
+			this.stagnating = 0;
+
+			if(this.onImprovement)
+				this.onImprovement.call(algorithm, this.best, population.generation, population);
+		}
+		else
+			this.stagnating++;
+
+		if(this.onGeneration && this.onGeneration.call(algorithm, population, population.generation, this.best) === false)
+			this.reason = 'callback';
+
+		if(this.onCheckpoint && this.generations % this.checkpointInterval === 0)
+			this.onCheckpoint.call(algorithm, this.toJSON(), population.generation);
+	},
+
+	/**
+	 * Make one generation.
+	 *
+	 * @return  void
+	 */
+	step: function()
+	{
+		var start    = new Date().getTime();
+		var parents  = this.selectParents();
+		var selected = new Date().getTime();
+		var children = this.population.applyGeneticOperators(parents, this.operators);
+
+		this.times.selection = selected - start;
+		this.times.operators = new Date().getTime() - selected;
+
+		this.finishGeneration(parents, children);
+	},
+
+	/**
+	 * Make one generation, fitness of children is evaluated asynchronously.
+	 *
+	 * @return  Promise
+	 */
+	stepAsync: function()
+	{
+		var run      = this;
+		var start    = new Date().getTime();
+		var parents  = this.selectParents();
+		var selected = new Date().getTime();
+
+		this.times.selection = selected - start;
+
+		return this.population.applyGeneticOperatorsAsync(parents, this.operators).then(function(children)
+		{
+			run.times.operators = new Date().getTime() - selected;
+
+			run.finishGeneration(parents, children);
+		});
+	},
+
+	/**
+	 * Get state of run, that can be serialized to JSON. Callbacks and functions in options of operators are not included.
+	 *
+	 * @return  object  (population, selection, replacement, operators, maxGenerations, targetFitness, stagnation, timeLimit,
+	 *                  best, hallOfFame, statistics, generations, stagnating, time)
+	 */
+	toJSON: function()
+	{
+		return {
+			population:     this.population.toJSON(),
+			selection:      this.selection,
+			replacement:    this.replacement,
+			operators:      this.operators,
+			maxGenerations: this.maxGenerations,
+			targetFitness:  this.targetFitness,
+			stagnation:     this.stagnation,
+			timeLimit:      this.timeLimit,
+			best:           (this.best) ? this.best.toJSON() : null,
+			hallOfFame:     (this.hall_of_fame) ? {size: this.hall_of_fame.size, individuals: this.hall_of_fame.individuals.map(function(individual) { return individual.toJSON(); })} : null,
+			statistics:     (this.statistics) ? this.statistics.toJSON() : null,
+			generations:    this.generations,
+			stagnating:     this.stagnating,
+			time:           new Date().getTime() - this.start
+		};
+	},
+
+	/**
+	 * Get summary of run.
+	 *
+	 * @return  object  Run summary. (best, population, generations, reason, time, hallOfFame, statistics)
+	 */
+	getSummary: function()
+	{
+		return {
+			best:        this.best,
+			population:  this.population,
+			hallOfFame:  (this.hall_of_fame) ? this.hall_of_fame.individuals : null,
+			statistics:  this.statistics,
+			generations: this.generations,
+			reason:      this.reason,
+			time:        new Date().getTime() - this.start
+		};
+	}
+};
+
+/**
+ * Restore run from state returned by toJSON. Stored configuration is extended by given configuration,
+ * which has to supply callbacks again.
+ *
+ * @param   object  data       State of run.
+ * @param   object  algorithm  Algorithm with the same variables and fitness function.
+ * @param   object  config     Configuration (see EvolutionaryAlgorithm.run).
+ *
+ * @return  object             Run.
+ */
+EvolutionaryAlgorithmRun.fromJSON = function(data, algorithm, config)
+{
+	var run_config = {
+		selection:      data.selection,
+		replacement:    data.replacement,
+		operators:      data.operators,
+		maxGenerations: data.maxGenerations,
+		targetFitness:  data.targetFitness,
+		stagnation:     data.stagnation,
+		timeLimit:      data.timeLimit
+	};
+
+	if(data.hallOfFame)
+	{
+		run_config.hallOfFame = new EvolutionaryAlgorithmHallOfFame(data.hallOfFame.size);
+		run_config.hallOfFame.individuals = data.hallOfFame.individuals.map(function(individual)
+		{
+			return EvolutionaryAlgorithmIndividual.fromJSON(individual, algorithm);
+		});
+	}
+
+	if(data.statistics)
+		run_config.statistics = true;
+
+	config = config || {};
+
+	for(var key in config)
+	{
+		if(config.hasOwnProperty(key) && key != 'resume' && key != 'population')
+			run_config[key] = config[key];
+	}
+
+	var run = new EvolutionaryAlgorithmRun(algorithm, EvolutionaryAlgorithmPopulation.fromJSON(data.population, algorithm), run_config);
+
+	if(data.best)
+		run.best = EvolutionaryAlgorithmIndividual.fromJSON(data.best, algorithm);
+
+	// restored history already contains record of restored population
+	if(data.statistics && run.statistics)
+		run.statistics.history = data.statistics.slice(0);
+
+	run.generations = data.generations || 0;
+	run.stagnating  = data.stagnating || 0;
+	run.start       = new Date().getTime() - (data.time || 0);
+
+	return run;
+};
+
+/**
+ * Island model. Several populations of one algorithm evolve separately and exchange individuals by migration.
+ *
+ * Island configuration is configuration of run (see EvolutionaryAlgorithm.run), islands can be given as number of islands
+ * with the same configuration or as array of configurations, which override shared configuration.
+ * Existing population can be given only in configuration of island, because every island evolves its own population.
+ * Migration is configured by object (interval, rate, selection: best or random, topology: ring, fully_connected or random).
+ * Immigrants replace the worst individuals of target island.
+ *
+ * @param  object  algorithm  Algorithm shared by islands.
+ * @param  object  config     Configuration. Shared configuration of islands and (islands, migration, onMigration).
+ */
+function EvolutionaryAlgorithmIslands(algorithm, config)
+{
+	config = config || {};
+
+	var islands = config.islands || 4;
+
+	if(typeof islands === 'number')
+		islands = Array.apply(null, new Array(islands)).map(function() { return {}; });
+
+	if(islands.length < 2)
+		throw new Error('Island model must have at least two islands.');
+
+	if(config.population)
+		throw new Error('Population can be given only in configuration of island.');
+
+	this.algorithm = algorithm;
+
+	var populations = [];
+
+	// every island has own run with shared configuration extended by its own one
+	this.runs = islands.map(function(island_config)
+	{
+		var run_config = {};
+		var key;
+
+		for(key in config)
+		{
+			if(config.hasOwnProperty(key) && key != 'islands' && key != 'migration' && key != 'onMigration')
+				run_config[key] = config[key];
+		}
+
+		for(key in island_config)
+		{
+			if(island_config.hasOwnProperty(key))
+				run_config[key] = island_config[key];
+		}
+
+		var population = run_config.population;
+
+		if(!(population instanceof EvolutionaryAlgorithmPopulation))
+			population = algorithm.initializePopulation(run_config.populationSize || 20, run_config.initialization);
+
+		if(populations.indexOf(population) != -1)
+			throw new Error('Every island must have own population.');
+
+		populations.push(population);
+
+		return new EvolutionaryAlgorithmRun(algorithm, population, run_config);
+	});
+
+	var migration = config.migration || {};
+
+	this.migration = {
+		interval:  migration.interval || 10,
+		rate:      (migration.rate === undefined) ? 0.1 : migration.rate,
+		selection: migration.selection || 'best',
+		topology:  migration.topology || 'ring'
+	};
+
+	if(['best', 'random'].indexOf(this.migration.selection) == -1)
+		throw new Error('Emigrants selection must be best or random.');
+
+	if(['ring', 'fully_connected', 'random'].indexOf(this.migration.topology) == -1)
+		throw new Error('Migration topology must be ring, fully_connected or random.');
+
+	this.onMigration = config.onMigration;
+
+	this.start       = new Date().getTime();
+	this.generations = 0;
+	this.migrations  = 0;
+	this.reason      = null;
+}
+
+EvolutionaryAlgorithmIslands.prototype = {
+	constructor: EvolutionaryAlgorithmIslands,
+
+	/**
+	 * Check termination criteria. Islands finish when all of them are finished or when one of them reaches target fitness.
+	 *
+	 * @return  boolean
+	 */
+	isFinished: function()
+	{
+		if(this.reason !== null)
+			return true;
+
+		var reasons = this.runs.map(function(run)
+		{
+			run.isFinished();
+
+			return run.reason;
+		});
+
+		if(reasons.indexOf('target_fitness') != -1)
+			this.reason = 'target_fitness';
+		else if(reasons.indexOf(null) == -1)
+			this.reason = reasons[0];
+
+		return (this.reason !== null);
+	},
+
+	/**
+	 * Make one generation on every island, which is not finished. Migration is made after every interval of generations.
+	 *
+	 * @return  void
+	 */
+	step: function()
+	{
+		this.runs.forEach(function(run)
+		{
+			if(!run.isFinished())
+				run.step();
+		});
+
+		this.finishGeneration();
+	},
+
+	/**
+	 * Make one generation on every island, fitness of children is evaluated asynchronously.
+	 *
+	 * @return  Promise
+	 */
+	stepAsync: function()
+	{
+		var islands = this;
+
+		return Promise.all(this.runs.map(function(run)
+		{
+			return (run.isFinished()) ? null : run.stepAsync();
+		})).then(function()
+		{
+			islands.finishGeneration();
+		});
+	},
+
+	/**
+	 * Count generation and migrate individuals when interval elapsed.
+	 *
+	 * @return  void
+	 */
+	finishGeneration: function()
+	{
+		this.generations++;
+
+		if(this.generations % this.migration.interval === 0)
+			this.migrate();
+	},
+
+	/**
+	 * Get indexes of islands, which receive emigrants from island.
+	 *
+	 * @param   int    index  Index of source island.
+	 *
+	 * @return  array
+	 */
+	getTargets: function(index)
+	{
+		var count = this.runs.length;
+
+		switch(this.migration.topology)
+		{
+			case 'fully_connected':
+				return Array.apply(null, new Array(count)).map(function(_, i) { return i; }).filter(function(i) { return i != index; });
+			case 'random':
+				// random island other than source
+				var target = Math.floor(this.algorithm.random() * (count - 1));
+
+				return [(target >= index) ? target + 1 : target];
+			default:
+			case 'ring':
+				return [(index + 1) % count];
+		}
+	},
+
+	/**
+	 * Send emigrants from every island to its targets. All emigrants are selected before any immigrant is inserted.
+	 *
+	 * @return  void
+	 */
+	migrate: function()
+	{
+		var islands   = this;
+		var migration = this.migration;
+		var incoming  = this.runs.map(function() { return []; });
+
+		this.runs.forEach(function(run, index)
+		{
+			var population = run.population;
+			var n          = (migration.rate < 1) ? Math.round(migration.rate * population.count) : migration.rate;
+
+			if(n <= 0)
+				return;
+
+			islands.getTargets(index).forEach(function(target)
+			{
+				incoming[target] = incoming[target].concat(population.getParents(migration.selection, n));
+			});
+		});
+
+		this.runs.forEach(function(run, index)
+		{
+			var population = run.population;
+			var immigrants = incoming[index];
+
+			if(immigrants.length === 0)
+				return;
+
+			// every island gets own copies of immigrants, so their age is changed only by its population
+			immigrants = immigrants.slice(0, population.count).map(function(immigrant) { return immigrant.clone(); });
+
+			// immigrants replace the worst individuals, migration is not counted as generation
+			population.replacement(population.individuals.slice(0), immigrants, 'separate_competition', {generationGap: immigrants.length, migration: true});
+
+			var best = population.getBest();
+
+			if(best && (!run.best || islands.algorithm.compare(best, run.best) < 0))
+				run.best = best;
+		});
+
+		this.migrations++;
+
+		if(this.onMigration)
+			this.onMigration.call(this.algorithm, this, this.generations);
+	},
+
+	/**
+	 * Get best individual of all islands.
+	 *
+	 * @return  object
+	 */
+	getBest: function()
+	{
+		var algorithm = this.algorithm;
+		var best;
+
+		this.runs.forEach(function(run)
+		{
+			if(run.best && (!best || algorithm.compare(run.best, best) < 0))
+				best = run.best;
+		});
+
+		return best;
+	},
+
+	/**
+	 * Get statistics of islands.
+	 *
+	 * @return  array  Statistics of every island. (size, generation, best, worst, reason)
+	 */
+	getStatistics: function()
+	{
+		var algorithm = this.algorithm;
+
+		return this.runs.map(function(run)
+		{
+			var individuals = run.population.individuals;
+			var worst;
+
+			individuals.forEach(function(individual)
+			{
+				if(!worst || algorithm.compare(individual, worst) > 0)
+					worst = individual;
+			});
+
+			return {
+				size:       individuals.length,
+				generation: run.population.generation,
+				best:       run.best,
+				worst:      worst,
+				reason:     run.reason
+			};
+		});
+	},
+
+	/**
+	 * Run islands until termination criteria are met.
+	 *
+	 * @return  object  Summary. (best, islands, generations, migrations, reason, time)
+	 */
+	run: function()
+	{
+		while(!this.isFinished())
+			this.step();
+
+		return this.getSummary();
+	},
+
+	/**
+	 * Run islands asynchronously.
+	 *
+	 * @return  Promise  Promise resolved with summary.
+	 */
+	runAsync: function()
+	{
+		var islands = this;
+
+		var loop = function()
+		{
+			if(islands.isFinished())
+				return islands.getSummary();
+
+			return islands.stepAsync().then(loop);
+		};
+
+		return Promise.resolve().then(loop);
+	},
+
+	/**
+	 * Get summary of islands.
+	 *
+	 * @return  object  Summary. (best, islands, generations, migrations, reason, time)
+	 */
+	getSummary: function()
+	{
+		return {
+			best:        this.getBest(),
+			islands:     this.runs.map(function(run) { return run.getSummary(); }),
+			generations: this.generations,
+			migrations:  this.migrations,
+			reason:      this.reason,
+			time:        new Date().getTime() - this.start
+		};
+	}
+};
+
+/**
+ * Base of optimizers, which use variables and fitness function of algorithm instead of genetic operators of population
+ * (EvolutionaryAlgorithmCMAES, EvolutionaryAlgorithmDE, EvolutionaryAlgorithmPSO).
+ *
+ * Optimizer creates new individuals by sample and changes its state by evaluated individuals in update.
+ * Individuals from getInitialIndividuals are evaluated before the first generation.
+ *
+ * @param  object  algorithm  Algorithm, whose variables and fitness function are used.
+ * @param  object  options    Termination criteria. (maxGenerations, targetFitness, timeLimit, onGeneration)
+ * @param  array   types      Supported types of variables.
+ */
+function EvolutionaryAlgorithmOptimizer(algorithm, options, types)
+{
+	if(!(algorithm instanceof EvolutionaryAlgorithm))
+		throw new Error('First argument must be algorithm that is optimized.');
+
+	if(algorithm.objectives || algorithm.variable_individual_length)
+		throw new Error('Optimizer can not be used with multiple objectives or variable individual length.');
+
+	algorithm.variables.forEach(function(variable)
+	{
+		if(types.indexOf(algorithm.getVariableSchema(variable).type) == -1)
+			throw new Error('Optimizer can be used only with ' + types.join(' or ') + ' variables.');
+	});
+
+	options = options || {};
+
+	this.algorithm  = algorithm;
+	this.population = null;
+
+	// termination criteria
+	this.maxGenerations = (options.maxGenerations === undefined) ? 100 : options.maxGenerations;
+	this.targetFitness  = options.targetFitness;
+	this.timeLimit      = options.timeLimit || 0;
+
+	this.onGeneration = options.onGeneration;
+
+	this.start       = new Date().getTime();
+	this.best        = undefined;
+	this.initialized = false;
+	this.generations = 0;
+	this.evaluations = 0;
+	this.reason      = null;
+}
+
+EvolutionaryAlgorithmOptimizer.prototype = {
+	constructor: EvolutionaryAlgorithmOptimizer,
+
+	/**
+	 * Get individuals that are evaluated before the first generation.
+	 *
+	 * @return  array
+	 */
+	getInitialIndividuals: function()
+	{
+		return [];
+	},
+
+	/**
+	 * Create new individuals without fitness.
+	 *
+	 * @return  array
+	 */
+	sample: function()
+	{
+		throw new Error('Optimizer must implement sample method.');
+	},
+
+	/**
+	 * Change state of optimizer by evaluated individuals created by sample.
+	 *
+	 * @param   array  individuals
+	 *
+	 * @return  void
+	 */
+	update: function(individuals)
+	{
+		throw new Error('Optimizer must implement update method.');
+	},
+
+	/**
+	 * Check if optimizer cannot make progress anymore.
+	 *
+	 * @return  boolean
+	 */
+	isConverged: function()
+	{
+		return false;
+	},
+
+	/**
+	 * Count evaluated individuals and remember the best one.
+	 *
+	 * @param   array  individuals  Evaluated individuals.
+	 *
+	 * @return  array               Given individuals.
+	 */
+	addEvaluated: function(individuals)
+	{
+		var optimizer = this;
+
+		this.evaluations += individuals.length;
+
+		individuals.forEach(function(individual)
+		{
+			if(!optimizer.best || optimizer.algorithm.compare(individual, optimizer.best) < 0)
+				optimizer.best = individual;
+		});
+
+		return individuals;
+	},
+
+	/**
+	 * Evaluate individuals by algorithm.
+	 *
+	 * @param   array  individuals
+	 *
+	 * @return  array
+	 */
+	evaluate: function(individuals)
+	{
+		var algorithm = this.algorithm;
+
+		individuals.forEach(function(individual)
+		{
+			if(individual.fitness === undefined)
+				individual.fitness = algorithm.evaluate(individual);
+		});
+
+		return this.addEvaluated(individuals);
+	},
+
+	/**
+	 * Check termination criteria.
+	 *
+	 * @return  boolean
+	 */
+	isFinished: function()
+	{
+		if(this.reason !== null)
+			return true;
+
+		if(this.generations >= this.maxGenerations)
+			this.reason = 'max_generations';
+		else if(this.best && this.targetFitness !== undefined && this.best.feasible !== false && this.algorithm.compare(this.best, {fitness: this.targetFitness}) <= 0)
+			this.reason = 'target_fitness';
+		else if(this.isConverged())
+			this.reason = 'tolerance';
+		else if(this.timeLimit > 0 && new Date().getTime() - this.start >= this.timeLimit)
+			this.reason = 'time_limit';
+
+		return (this.reason !== null);
+	},
+
+	/**
+	 * Update state by evaluated individuals and call callback.
+	 *
+	 * @param   array  individuals  Evaluated individuals created by sample.
+	 *
+	 * @return  void
+	 */
+	finishGeneration: function(individuals)
+	{
+		this.update(individuals);
+
+		this.generations++;
+
+		if(this.onGeneration && this.onGeneration.call(this.algorithm, this, this.generations, this.best) === false)
+			this.reason = 'callback';
+	},
+
+	/**
+	 * Make one generation.
+	 *
+	 * @return  void
+	 */
+	step: function()
+	{
+		if(!this.initialized)
+		{
+			this.evaluate(this.getInitialIndividuals());
+			this.initialized = true;
+		}
+
+		this.finishGeneration(this.evaluate(this.sample()));
+	},
+
+	/**
+	 * Make one generation, individuals are evaluated asynchronously (see EvolutionaryAlgorithm.evaluateAsync).
+	 *
+	 * @return  Promise
+	 */
+	stepAsync: function()
+	{
+		var optimizer = this;
+		var algorithm = this.algorithm;
+		var initial   = Promise.resolve();
+
+		if(!this.initialized)
+		{
+			initial = algorithm.evaluateAsync(this.getInitialIndividuals()).then(function(individuals)
+			{
+				optimizer.addEvaluated(individuals);
+				optimizer.initialized = true;
+			});
+		}
+
+		return initial.then(function()
+		{
+			return algorithm.evaluateAsync(optimizer.sample());
+		}).then(function(individuals)
+		{
+			optimizer.finishGeneration(optimizer.addEvaluated(individuals));
+		});
+	},
+
+	/**
+	 * Run until one of termination criteria is met.
+	 *
+	 * @return  object  Summary. (best, population, generations, evaluations, reason, time)
+	 */
+	run: function()
+	{
+		while(!this.isFinished())
+			this.step();
+
+		return this.getSummary();
+	},
+
+	/**
+	 * Run asynchronously.
+	 *
+	 * @return  Promise  Promise resolved with summary.
+	 */
+	runAsync: function()
+	{
+		var optimizer = this;
+
+		var loop = function()
+		{
+			if(optimizer.isFinished())
+				return optimizer.getSummary();
+
+			return optimizer.stepAsync().then(loop);
+		};
+
+		return Promise.resolve().then(loop);
+	},
+
+	/**
+	 * Get summary of run.
+	 *
+	 * @return  object  Summary. (best, population, generations, evaluations, reason, time)
+	 */
+	getSummary: function()
+	{
+		return {
+			best:        this.best,
+			population:  this.population,
+			generations: this.generations,
+			evaluations: this.evaluations,
+			reason:      this.reason,
+			time:        new Date().getTime() - this.start
+		};
+	}
+};
+
+/**
+ * Covariance matrix adaptation evolution strategy (CMA-ES) for algorithms with REAL variables.
+ *
+ * Values are sampled from multivariate normal distribution in space, where interval of every variable is mapped to [0, 1].
+ * Mean, step size and covariance matrix of distribution are adapted from the best individuals of every generation.
+ * Individuals are evaluated and compared by algorithm, so objective and constraints of algorithm are respected.
+ *
+ * @param  object  algorithm  Algorithm with REAL variables.
+ * @param  object  options    Options. (lambda, mu, sigma, mean, tolerance) and termination criteria (see EvolutionaryAlgorithmOptimizer).
+ */
+var EvolutionaryAlgorithmCMAES = (function()
+{
+	var Constructor = function(algorithm, options)
+	{
+		options = options || {};
+
+		EvolutionaryAlgorithmOptimizer.call(this, algorithm, options, ['REAL']);
+
+		var n = algorithm.variables.length;
+		var i;
+
+		this.algorithm = algorithm;
+		this.n         = n;
+
+		// number of sampled and selected individuals
+		this.lambda = options.lambda || 4 + Math.floor(3 * Math.log(n));
+		this.mu     = options.mu || Math.floor(this.lambda / 2);
+
+		if(this.mu % 1 !== 0 || this.mu < 1 || this.mu > this.lambda)
+			throw new Error('Number of selected individuals of CMA-ES must be integer, where 1 <= mu <= lambda.');
+
+		// recombination weights
+		this.weights = [];
+
+		for(i=0; i<this.mu; i++)
+			this.weights.push(Math.log(this.mu + 0.5) - Math.log(i + 1));
+
+		var sum = this.weights.reduce(function(a, b) { return a + b; }, 0);
+
+		this.weights = this.weights.map(function(weight) { return weight / sum; });
+		this.mueff   = 1 / this.weights.reduce(function(a, b) { return a + b * b; }, 0);
+
+		// learning rates
+		var mueff = this.mueff;
+
+		this.cc    = (4 + mueff / n) / (n + 4 + 2 * mueff / n);
+		this.cs    = (mueff + 2) / (n + mueff + 5);
+		this.c1    = 2 / ((n + 1.3) * (n + 1.3) + mueff);
+		this.cmu   = Math.min(1 - this.c1, 2 * (mueff - 2 + 1 / mueff) / ((n + 2) * (n + 2) + mueff));
+		this.damps = 1 + 2 * Math.max(0, Math.sqrt((mueff - 1) / (n + 1)) - 1) + this.cs;
+		this.chiN  = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+		// state of distribution
+		var random = algorithm.random;
+
+		this.mean  = (options.mean) ? this.normalize(options.mean) : algorithm.variables.map(function() { return random(); });
+		this.sigma = options.sigma || 0.3;
+		this.pc    = getZeros(n);
+		this.ps    = getZeros(n);
+		this.C     = getIdentity(n);
+		this.B     = getIdentity(n);
+		this.D     = this.pc.map(function() { return 1; });
+
+		// distribution is converged, when step size is smaller than tolerance
+		this.tolerance = options.tolerance || 1e-12;
+	};
+
+	/**
+	 * Get vector of zeros.
+	 *
+	 * @param   int    n  Length of vector.
+	 *
+	 * @return  array
+	 */
+	function getZeros(n)
+	{
+		return Array.apply(null, new Array(n)).map(function() { return 0; });
+	}
+
+	/**
+	 * Get identity matrix.
+	 *
+	 * @param   int    n  Size of matrix.
+	 *
+	 * @return  array     Array of rows.
+	 */
+	function getIdentity(n)
+	{
+		return getZeros(n).map(function(_, i)
+		{
+			return getZeros(n).map(function(_, j) { return (i == j) ? 1 : 0; });
+		});
+	}
+
+	/**
+	 * Compute eigenvalues and eigenvectors of symmetric matrix by Jacobi method.
+	 *
+	 * @param   array   matrix  Symmetric matrix.
+	 *
+	 * @return  object          Eigenvalues (values) and matrix with eigenvectors in columns (vectors).
+	 */
+	function getEigenDecomposition(matrix)
+	{
+		var n       = matrix.length;
+		var a       = matrix.map(function(row) { return row.slice(0); });
+		var vectors = getIdentity(n);
+		var i, j, k;
+
+		for(var sweep=0; sweep<50; sweep++)
+		{
+			var off = 0;
+
+			for(i=0; i<n; i++)
+			{
+				for(j=i+1; j<n; j++)
+					off += a[i][j] * a[i][j];
+			}
+
+			if(off < 1e-30)
+				break;
+
+			for(i=0; i<n; i++)
+			{
+				for(j=i+1; j<n; j++)
+				{
+					if(a[i][j] === 0)
+						continue;
+
+					// rotation which zeroes element a[i][j]
+					var theta = (a[j][j] - a[i][i]) / (2 * a[i][j]);
+					var t     = ((theta >= 0) ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+					var c     = 1 / Math.sqrt(t * t + 1);
+					var s     = t * c;
+
+					for(k=0; k<n; k++)
+					{
+						var aki = a[k][i];
+						var akj = a[k][j];
+
+						a[k][i] = c * aki - s * akj;
+						a[k][j] = s * aki + c * akj;
+					}
+
+					for(k=0; k<n; k++)
+					{
+						var aik = a[i][k];
+						var ajk = a[j][k];
+
+						a[i][k] = c * aik - s * ajk;
+						a[j][k] = s * aik + c * ajk;
+					}
+
+					for(k=0; k<n; k++)
+					{
+						var vki = vectors[k][i];
+						var vkj = vectors[k][j];
+
+						vectors[k][i] = c * vki - s * vkj;
+						vectors[k][j] = s * vki + c * vkj;
+					}
+				}
+			}
+		}
+
+		return {
+			values:  a.map(function(row, i) { return row[i]; }),
+			vectors: vectors
+		};
+	}
+
+	var methods = {
+		/**
+		 * Map values of variables to [0, 1].
+		 *
+		 * @param   mixed  values  Values as array in order of variables or object.
+		 *
+		 * @return  array
+		 */
+		normalize: function(values)
+		{
+			var algorithm = this.algorithm;
+
+			return algorithm.variables.map(function(variable, v)
+			{
+				var variable_schema = algorithm.getVariableSchema(variable);
+				var value           = (Object.prototype.toString.call(values) === '[object Array]') ? values[v] : values[variable];
+				var range           = variable_schema.max - variable_schema.min;
+
+				return (range > 0) ? (value - variable_schema.min) / range : 0;
+			});
+		},
+
+		/**
+		 * Sample new generation from distribution. Individuals are not evaluated.
+		 *
+		 * @return  array  Individuals with sampled point (sample) in normalized space.
+		 */
+		sample: function()
+		{
+			var cma       = this;
+			var algorithm = this.algorithm;
+			var n         = this.n;
+
+			return algorithm.createUnevaluated(function()
+			{
+				var individuals = [];
+
+				for(var l=0; l<cma.lambda; l++)
+				{
+					var z = getZeros(n).map(function() { return algorithm.randomGaussian(); });
+					var x = [];
+
+					// x = mean + sigma * B * D * z, values are kept in bounds
+					for(var i=0; i<n; i++)
+					{
+						var y = 0;
+
+						for(var j=0; j<n; j++)
+							y += cma.B[i][j] * cma.D[j] * z[j];
+
+						x.push(Math.max(0, Math.min(1, cma.mean[i] + cma.sigma * y)));
+					}
+
+					var individual = new EvolutionaryAlgorithmIndividual(algorithm.variables, function(individual, variable, v)
+					{
+						var variable_schema = algorithm.getVariableSchema(variable);
+
+						return variable_schema.min + x[v] * (variable_schema.max - variable_schema.min);
+					}, algorithm);
+
+					individual.sample = x;
+
+					individuals.push(individual);
+				}
+
+				return individuals;
+			});
+		},
+
+		/**
+		 * Update distribution by evaluated individuals of generation.
+		 *
+		 * @param   array  individuals  Evaluated individuals created by sample.
+		 *
+		 * @return  void
+		 */
+		update: function(individuals)
+		{
+			var algorithm = this.algorithm;
+			var n         = this.n;
+			var mu        = this.mu;
+			var weights   = this.weights;
+			var i, j, k;
+
+			var sorted = individuals.slice(0).sort(function(a, b) { return algorithm.compare(a, b); });
+
+			// new mean is weighted mean of the best individuals
+			var old_mean = this.mean;
+			var sigma    = this.sigma;
+
+			this.mean = getZeros(n).map(function(_, i)
+			{
+				var value = 0;
+
+				for(var k=0; k<mu; k++)
+					value += weights[k] * sorted[k].sample[i];
+
+				return value;
+			});
+
+			var step = this.mean.map(function(value, i) { return (value - old_mean[i]) / sigma; });
+
+			// C^(-1/2) * step
+			var whitened = getZeros(n);
+
+			for(i=0; i<n; i++)
+			{
+				for(j=0; j<n; j++)
+				{
+					var projection = 0;
+
+					for(k=0; k<n; k++)
+						projection += this.B[k][j] * step[k];
+
+					whitened[i] += this.B[i][j] * projection / this.D[j];
+				}
+			}
+
+			// evolution paths
+			var cs    = this.cs;
+			var cc    = this.cc;
+			var mueff = this.mueff;
+
+			for(i=0; i<n; i++)
+				this.ps[i] = (1 - cs) * this.ps[i] + Math.sqrt(cs * (2 - cs) * mueff) * whitened[i];
+
+			var ps_norm = Math.sqrt(this.ps.reduce(function(a, b) { return a + b * b; }, 0));
+			var hsig    = (ps_norm / Math.sqrt(1 - Math.pow(1 - cs, 2 * (this.generations + 1))) / this.chiN < 1.4 + 2 / (n + 1)) ? 1 : 0;
+
+			for(i=0; i<n; i++)
+				this.pc[i] = (1 - cc) * this.pc[i] + hsig * Math.sqrt(cc * (2 - cc) * mueff) * step[i];
+
+			// covariance matrix from evolution path (rank-one) and from steps of the best individuals (rank-mu)
+			var c1  = this.c1;
+			var cmu = this.cmu;
+
+			for(i=0; i<n; i++)
+			{
+				for(j=0; j<=i; j++)
+				{
+					var rank_mu = 0;
+
+					for(k=0; k<mu; k++)
+						rank_mu += weights[k] * (sorted[k].sample[i] - old_mean[i]) * (sorted[k].sample[j] - old_mean[j]) / (sigma * sigma);
+
+					var value = (1 - c1 - cmu) * this.C[i][j] + c1 * (this.pc[i] * this.pc[j] + (1 - hsig) * cc * (2 - cc) * this.C[i][j]) + cmu * rank_mu;
+
+					this.C[i][j] = value;
+					this.C[j][i] = value;
+				}
+			}
+
+			// step size
+			this.sigma *= Math.exp((cs / this.damps) * (ps_norm / this.chiN - 1));
+
+			// B and D of new covariance matrix used for sampling
+			var decomposition = getEigenDecomposition(this.C);
+
+			this.B = decomposition.vectors;
+			this.D = decomposition.values.map(function(value) { return Math.sqrt(Math.max(value, 1e-20)); });
+		},
+
+		/**
+		 * Check if step size of distribution is smaller than tolerance.
+		 *
+		 * @return  boolean
+		 */
+		isConverged: function()
+		{
+			return (this.sigma * Math.max.apply(null, this.D) < this.tolerance);
+		}
+	};
+
+	Constructor.prototype = Object.create(EvolutionaryAlgorithmOptimizer.prototype);
+	Constructor.prototype.constructor = Constructor;
+
+	for(var name in methods)
+	{
+		if(methods.hasOwnProperty(name))
+			Constructor.prototype[name] = methods[name];
+	}
+
+	return Constructor;
+}());
+
+/**
+ * Differential evolution (DE) for algorithms with INT and REAL variables.
+ *
+ * Every individual of population (target) gets trial individual created from difference of other individuals
+ * and trial replaces target, when it is not worse.
+ * Strategies: rand/1/bin, best/1/bin and current-to-best/1 (all with binomial crossover).
+ *
+ * @param  object  algorithm  Algorithm with INT or REAL variables.
+ * @param  object  options    Options. (populationSize, strategy, F, CR, repair) and termination criteria (see EvolutionaryAlgorithmOptimizer).
+ */
+var EvolutionaryAlgorithmDE = (function()
+{
+	var Constructor = function(algorithm, options)
+	{
+		options = options || {};
+
+		EvolutionaryAlgorithmOptimizer.call(this, algorithm, options, ['INT', 'REAL']);
+
+		this.strategy = options.strategy || 'rand/1/bin';
+
+		if(['rand/1/bin', 'best/1/bin', 'current-to-best/1'].indexOf(this.strategy) == -1)
+			throw new Error('Unsupported strategy ' + this.strategy + ' of differential evolution.');
+
+		this.F      = (options.F === undefined) ? 0.8 : options.F;
+		this.CR     = (options.CR === undefined) ? 0.9 : options.CR;
+		this.repair = options.repair;
+
+		var size = options.populationSize || Math.max(10 * algorithm.variables.length, 20);
+
+		if(size < 4)
+			throw new Error('Population of differential evolution must have at least 4 individuals.');
+
+		this.population = algorithm.createUnevaluated(function() { return algorithm.initializePopulation(size); });
+	};
+
+	/**
+	 * Get random distinct indexes of individuals different from excluded one.
+	 *
+	 * @param   int       length    Number of individuals.
+	 * @param   int       n         Number of indexes.
+	 * @param   int       excluded  Excluded index.
+	 * @param   function  random    Random number generator.
+	 *
+	 * @return  array
+	 */
+	function getRandomIndexes(length, n, excluded, random)
+	{
+		var indexes = [];
+
+		while(indexes.length < n)
+		{
+			var index = Math.floor(random() * length);
+
+			if(index != excluded && indexes.indexOf(index) == -1)
+				indexes.push(index);
+		}
+
+		return indexes;
+	}
+
+	var methods = {
+		/**
+		 * Get individuals of initial population.
+		 *
+		 * @return  array
+		 */
+		getInitialIndividuals: function()
+		{
+			return this.population.individuals;
+		},
+
+		/**
+		 * Create trial individual for every individual of population.
+		 *
+		 * @return  array
+		 */
+		sample: function()
+		{
+			var de          = this;
+			var algorithm   = this.algorithm;
+			var random      = algorithm.random;
+			var individuals = this.population.individuals;
+			var variables   = algorithm.variables;
+			var best        = this.population.getBest();
+
+			return algorithm.createUnevaluated(function()
+			{
+				return individuals.map(function(target, i)
+				{
+					var r     = getRandomIndexes(individuals.length, 3, i, random).map(function(index) { return individuals[index].genotype; });
+					var jrand = Math.floor(random() * variables.length); // at least one value is taken from mutant
+
+					var genes = variables.map(function(variable, j)
+					{
+						var value = target.genotype[variable];
+
+						if(random() >= de.CR && j != jrand)
+							return value;
+
+						switch(de.strategy)
+						{
+							case 'best/1/bin':
+								return best.genotype[variable] + de.F * (r[0][variable] - r[1][variable]);
+							case 'current-to-best/1':
+								return value + de.F * (best.genotype[variable] - value) + de.F * (r[0][variable] - r[1][variable]);
+							default:
+							case 'rand/1/bin':
+								return r[0][variable] + de.F * (r[1][variable] - r[2][variable]);
+						}
+					});
+
+					return new EvolutionaryAlgorithmIndividual(variables, function(individual, variable, k)
+					{
+						return algorithm.repairValue(variable, genes[k], de.repair);
+					}, algorithm);
+				});
+			});
+		},
+
+		/**
+		 * Replace individuals of population by trial individuals, which are not worse.
+		 *
+		 * @param   array  trials  Evaluated trial individuals in order of population.
+		 *
+		 * @return  void
+		 */
+		update: function(trials)
+		{
+			var algorithm   = this.algorithm;
+			var individuals = this.population.individuals;
+
+			trials.forEach(function(trial, i)
+			{
+				if(algorithm.compare(trial, individuals[i]) <= 0)
+					individuals[i] = trial;
+			});
+
+			this.population.generation++;
+		}
+	};
+
+	Constructor.prototype = Object.create(EvolutionaryAlgorithmOptimizer.prototype);
+	Constructor.prototype.constructor = Constructor;
+
+	for(var name in methods)
+	{
+		if(methods.hasOwnProperty(name))
+			Constructor.prototype[name] = methods[name];
+	}
+
+	return Constructor;
+}());
+
+/**
+ * Particle swarm optimization (PSO) for algorithms with INT and REAL variables.
+ *
+ * Individuals of population are positions of particles. Velocity of particle is attracted to its personal best position
+ * and to the best position of its neighbourhood, which is whole swarm (global topology) or neighbours in ring (ring topology).
+ * Inertia weight (inertia, can be array [start, end] changed linearly during maxGenerations) or constriction factor
+ * (constriction, requires cognitive + social > 4) keeps swarm stable.
+ *
+ * @param  object  algorithm  Algorithm with INT or REAL variables.
+ * @param  object  options    Options. (swarmSize, inertia, constriction, cognitive, social, topology, neighbours, maxVelocity, repair)
+ *                            and termination criteria (see EvolutionaryAlgorithmOptimizer).
+ */
+var EvolutionaryAlgorithmPSO = (function()
+{
+	var Constructor = function(algorithm, options)
+	{
+		options = options || {};
+
+		EvolutionaryAlgorithmOptimizer.call(this, algorithm, options, ['INT', 'REAL']);
+
+		this.constriction = options.constriction || false;
+		this.cognitive    = options.cognitive || ((this.constriction) ? 2.05 : 1.49618);
+		this.social       = options.social || ((this.constriction) ? 2.05 : 1.49618);
+		this.inertia      = (options.inertia === undefined) ? 0.7298 : options.inertia;
+		this.topology     = options.topology || 'global';
+		this.neighbours   = options.neighbours || 1;
+		this.maxVelocity  = options.maxVelocity || 0.5; // fraction of interval of variable
+		this.repair       = options.repair;
+
+		if(['global', 'ring'].indexOf(this.topology) == -1)
+			throw new Error('Topology of swarm must be global or ring.');
+
+		// constriction factor is defined only for cognitive + social > 4
+		if(this.constriction && this.cognitive + this.social <= 4)
+			throw new Error('Sum of cognitive and social coefficients must be greater than 4 with constriction.');
+
+		var size      = options.swarmSize || 20;
+		var random    = algorithm.random;
+		var variables = algorithm.variables;
+
+		this.population = algorithm.createUnevaluated(function() { return algorithm.initializePopulation(size); });
+
+		// initial velocity is half of distance to random position
+		this.velocities = this.population.individuals.map(function(individual)
+		{
+			return variables.map(function(variable)
+			{
+				var variable_schema = algorithm.getVariableSchema(variable);
+
+				return (variable_schema.min + random() * (variable_schema.max - variable_schema.min) - individual.genotype[variable]) / 2;
+			});
+		});
+
+		this.personal_best = this.population.individuals.slice(0);
+	};
+
+	var methods = {
+		/**
+		 * Get individuals of initial swarm.
+		 *
+		 * @return  array
+		 */
+		getInitialIndividuals: function()
+		{
+			return this.population.individuals;
+		},
+
+		/**
+		 * Get best personal position in neighbourhood of particle.
+		 *
+		 * @param   int     i  Index of particle.
+		 *
+		 * @return  object     Individual.
+		 */
+		getNeighbourhoodBest: function(i)
+		{
+			var algorithm     = this.algorithm;
+			var personal_best = this.personal_best;
+			var length        = personal_best.length;
+			var best          = personal_best[i];
+
+			var neighbours = (this.topology == 'ring') ? this.neighbours : length;
+
+			for(var k=-neighbours; k<=neighbours; k++)
+			{
+				var neighbour = personal_best[((i + k) % length + length) % length];
+
+				if(algorithm.compare(neighbour, best) < 0)
+					best = neighbour;
+			}
+
+			return best;
+		},
+
+		/**
+		 * Move particles to new positions.
+		 *
+		 * @return  array  New positions.
+		 */
+		sample: function()
+		{
+			var pso       = this;
+			var algorithm = this.algorithm;
+			var random    = algorithm.random;
+			var variables = algorithm.variables;
+			var inertia   = this.inertia;
+
+			if(Object.prototype.toString.call(inertia) === '[object Array]')
+				inertia = inertia[0] + (inertia[1] - inertia[0]) * Math.min(1, this.generations / Math.max(1, this.maxGenerations));
+
+			// constriction factor of Clerc and Kennedy
+			var phi = this.cognitive + this.social;
+			var chi = (this.constriction) ? 2 / Math.abs(2 - phi - Math.sqrt(phi * phi - 4 * phi)) : 1;
+
+			return algorithm.createUnevaluated(function()
+			{
+				return pso.population.individuals.map(function(position, i)
+				{
+					var personal = pso.personal_best[i].genotype;
+					var social   = pso.getNeighbourhoodBest(i).genotype;
+					var velocity = pso.velocities[i];
+					var genes    = [];
+
+					variables.forEach(function(variable, j)
+					{
+						var variable_schema = algorithm.getVariableSchema(variable);
+						var max_velocity    = pso.maxVelocity * (variable_schema.max - variable_schema.min);
+						var value           = position.genotype[variable];
+
+						var v = pso.cognitive * random() * (personal[variable] - value) + pso.social * random() * (social[variable] - value);
+
+						v = (pso.constriction) ? chi * (velocity[j] + v) : inertia * velocity[j] + v;
+						v = Math.max(-max_velocity, Math.min(max_velocity, v));
+
+						genes.push(algorithm.repairValue(variable, value + v, pso.repair));
+
+						// velocity is corrected, when position was repaired
+						velocity[j] = genes[j] - value;
+					});
+
+					return new EvolutionaryAlgorithmIndividual(variables, function(individual, variable, k) { return genes[k]; }, algorithm);
+				});
+			});
+		},
+
+		/**
+		 * Store new positions and update personal best positions.
+		 *
+		 * @param   array  positions  Evaluated new positions in order of particles.
+		 *
+		 * @return  void
+		 */
+		update: function(positions)
+		{
+			var algorithm     = this.algorithm;
+			var personal_best = this.personal_best;
+
+			positions.forEach(function(position, i)
+			{
+				if(algorithm.compare(position, personal_best[i]) < 0)
+					personal_best[i] = position;
+			});
+
+			this.population.individuals = positions;
+			this.population.generation++;
+		}
+	};
+
+	Constructor.prototype = Object.create(EvolutionaryAlgorithmOptimizer.prototype);
+	Constructor.prototype.constructor = Constructor;
+
+	for(var name in methods)
+	{
+		if(methods.hasOwnProperty(name))
+			Constructor.prototype[name] = methods[name];
+	}
+
+	return Constructor;
+}());
+
+/**
+ * Individiual for evolutionary algorithm.
+ *
+ * When algorithm is given, generated values are genotype, which is decoded to variables, and fitness is computed by algorithm.
+ *
+ * @param  array     variables         Array of variable names.
+ * @param  function  generateFunction  Function that generates individual value.
+ * @param  mixed     algorithm         Algorithm that creates individual or function that computes fitness.
+ */
+function EvolutionaryAlgorithmIndividual(variables, generateFunction, algorithm)
+{
+	this.variables = {};
+	this.genotype  = {};
+
+	var is_algorithm = (algorithm instanceof EvolutionaryAlgorithm);
+
+	if(variables)
+	{
+		for(var v=0, len=variables.length; v<len; v++)
+		{
+			var variable = variables[v];
+			var value    = generateFunction(this, variable, v);
+
+			this.genotype[variable]  = value;
+			this.variables[variable] = (is_algorithm) ? algorithm.decodeValue(variable, value) : value;
+		}
+	}
+
+	this.violation = 0;
+	this.feasible  = true;
+	this.age       = 0; // number of generations survived in population
+
+	if(is_algorithm)
+		algorithm.checkConstraints(this);
+
+	this.fitness = (is_algorithm) ? algorithm.evaluate(this) : algorithm(this);
+}
+
+EvolutionaryAlgorithmIndividual.prototype = {
+	constructor: EvolutionaryAlgorithmIndividual,
+
+	toString: function()
+	{
+		var variables = this.variables;
+
+		var ret = [];
+
+		for(var p in variables)
+		{
+			if(variables.hasOwnProperty(p))
+				ret.push(p + ': ' + variables[p]);
+		}
+
+		ret.push('fitness: ' + this.fitness);
+
+		return ret.join(', ');
+	},
+
+	/**
+	 * Get genotype values in order of variables.
+	 *
+	 * @param   bool   flatten  Expand bit strings to separate bits.
+	 *
+	 * @return  array
+	 */
+	toGenotypeArray: function(flatten)
+	{
+		var genotype = this.genotype;
+
+		var ret = [];
+
+		for(var p in genotype)
+		{
+			if(flatten && Object.prototype.toString.call(genotype[p]) === '[object Array]')
+				ret = ret.concat(genotype[p]);
+			else
+				ret.push(genotype[p]);
+		}
+
+		return ret;
+	},
+
+	toArray: function()
+	{
+		var variables = this.variables;
+
+		var ret = [];
+
+		for(var p in variables)
+		{
+			ret.push(variables[p]);
+		}
+
+		return ret;
+	},
+
+	/**
+	 * Create copy of individual without evaluation of fitness and constraints. Values of genotype are shared,
+	 * because genetic operators always create new values.
+	 *
+	 * @return  object
+	 */
+	clone: function()
+	{
+		var copyObject = function(object, target)
+		{
+			for(var key in object)
+			{
+				if(object.hasOwnProperty(key))
+					target[key] = object[key];
+			}
+
+			return target;
+		};
+
+		var copy = copyObject(this, Object.create(EvolutionaryAlgorithmIndividual.prototype));
+
+		copy.genotype  = copyObject(this.genotype, {});
+		copy.variables = copyObject(this.variables, {});
+
+		if(this.strategy)
+			copy.strategy = {sigma: copyObject(this.strategy.sigma, {})};
+
+		return copy;
+	},
+
+	/**
+	 * Get data of individual, that can be serialized to JSON. Variables are not included, they are decoded from genotype.
+	 *
+	 * @return  object  (genotype, fitness, violation, feasible, age, strategy)
+	 */
+	toJSON: function()
+	{
+		var data = {
+			genotype:  this.genotype,
+			fitness:   this.fitness,
+			violation: this.violation,
+			feasible:  this.feasible,
+			age:       this.age
+		};
+
+		if(this.strategy)
+			data.strategy = this.strategy;
+
+		return data;
+	}
+
+};
+
+/**
+ * Restore individual from data returned by toJSON. Fitness and constraints are not evaluated again.
+ *
+ * @param   object  data       Data of individual.
+ * @param   object  algorithm  Algorithm that creates individual.
+ *
+ * @return  object             Individual.
+ */
+EvolutionaryAlgorithmIndividual.fromJSON = function(data, algorithm)
+{
+	var genotype   = data.genotype;
+	var individual = Object.create(EvolutionaryAlgorithmIndividual.prototype);
+
+	individual.variables = {};
+	individual.genotype  = {};
+
+	for(var variable in genotype)
+	{
+		if(genotype.hasOwnProperty(variable))
+		{
+			individual.genotype[variable]  = genotype[variable];
+			individual.variables[variable] = algorithm.decodeValue(variable, genotype[variable]);
+		}
+	}
+
+	individual.violation = data.violation || 0;
+	individual.feasible  = (data.feasible === undefined) ? true : data.feasible;
+	individual.age       = data.age || 0;
+	individual.fitness   = data.fitness;
+
+	if(data.strategy)
+		individual.strategy = data.strategy;
+
+	return individual;
+};
+
+/**
+ * Population of individuals.
+ *
+ * @param  array  algorithm  Algorithm that sreates this population.
+ */
+var EvolutionaryAlgorithmPopulation = (function()
+{
+	var Constructor = function(algorithm)
+	{
+		if(!(algorithm instanceof EvolutionaryAlgorithm))
+			throw new Error('First argument must be algorithm that creates this population.');
+		
+		this.algorithm = algorithm;
+		this.individuals = [];
+		this.generation = 0;
+		this.fitness_window = []; // worst fitness values of last generations used by windowing scaling
+		this.step_size = 1; // multiplier of gaussian mutation adapted by 1/5th success rule
+		this.step_adaptation = null; // settings and mutations of current period of 1/5th success rule
+		this.penalty = algorithm.penalty; // coefficient of adaptive penalty
+		this.penalty_history = []; // feasibility of best individuals in current period of adaptive penalty
+		this.lineage = {children: [], parents: []}; // parents of children created by genetic operators since last replacement
+	};
+
+	/**
+	 * Get names of variables for child created from array of values.
+	 *
+	 * @param   object  algorithm  Algorithm that creates population.
+	 * @param   int     length     Number of values.
+	 *
+	 * @return  array              Names of variables.
+	 */
+	function getVariableNames(algorithm, length)
+	{
+		// individuals with fixed length keep names of algorithm variables
+		if(!algorithm.variable_individual_length && length == algorithm.variables.length)
+			return algorithm.variables;
+
+		return Array.apply(null, new Array(length)).map(function (_, i) { return i; });
+	}
+
+	/**
+	 * Create child from genotype values. Bits of BINARY variables are given as separate values.
+	 *
+	 * @param   object  algorithm  Algorithm that creates population.
+	 * @param   array   genes      Genotype values.
+	 * @param   string  repair     Method used to repair values out of bounds.
+	 * @param   array   parents    Parents of child.
+	 *
+	 * @return  object             Child.
+	 */
+	function createChild(algorithm, genes, repair, parents)
+	{
+		var names  = getVariableNames(algorithm, genes.length);
+		var values = genes;
+
+		if(algorithm.binary)
+		{
+			// join bits of BINARY variables
+			names  = algorithm.variables;
+			values = [];
+
+			for(var v=0, position=0, len=names.length; v<len; v++)
+			{
+				var variable_schema = algorithm.getVariableSchema(names[v]);
+
+				if(variable_schema.type == 'BINARY')
+				{
+					values.push(genes.slice(position, position + variable_schema.bits));
+					position += variable_schema.bits;
+				}
+				else
+					values.push(genes[position++]);
+			}
+		}
+
+		var child = algorithm.createUnevaluated(function()
+		{
+			return new EvolutionaryAlgorithmIndividual(names, function(individual, v, k) { return algorithm.repairValue(v, values[k], repair); }, algorithm);
+		});
+
+		return evaluateChild(algorithm, child, parents || []);
+	}
+
+	/**
+	 * Get strategy parameters of child from its parents. Step sizes (sigma) of parents are averaged.
+	 *
+	 * @param   array   parents  Parents of child.
+	 *
+	 * @return  object           Strategy parameters or undefined, when parents have none.
+	 */
+	function getInheritedStrategy(parents)
+	{
+		var sums   = {};
+		var counts = {};
+		var found  = false;
+
+		parents.forEach(function(parent)
+		{
+			if(!parent.strategy)
+				return;
+
+			found = true;
+
+			for(var variable in parent.strategy.sigma)
+			{
+				if(parent.strategy.sigma.hasOwnProperty(variable))
+				{
+					sums[variable]   = (sums[variable] || 0) + parent.strategy.sigma[variable];
+					counts[variable] = (counts[variable] || 0) + 1;
+				}
+			}
+		});
+
+		if(!found)
+			return undefined;
+
+		var sigma = {};
+
+		for(var variable in sums)
+			sigma[variable] = sums[variable] / counts[variable];
+
+		return {sigma: sigma};
+	}
+
+	/**
+	 * Check if two values of genotype are equal. Arrays (bit strings, expression trees) and objects are compared by their items.
+	 *
+	 * @param   mixed  a
+	 * @param   mixed  b
+	 *
+	 * @return  boolean
+	 */
+	function isSameValue(a, b)
+	{
+		if(a === b)
+			return true;
+
+		if(!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b))
+			return false;
+
+		var keys = Object.keys(a);
+
+		if(keys.length != Object.keys(b).length)
+			return false;
+
+		return keys.every(function(key)
+		{
+			return b.hasOwnProperty(key) && isSameValue(a[key], b[key]);
+		});
+	}
+
+	/**
+	 * Check if two individuals have the same genotype, including order of variables.
+	 *
+	 * @param   object  a
+	 * @param   object  b
+	 *
+	 * @return  boolean
+	 */
+	function isSameGenotype(a, b)
+	{
+		var a_keys = Object.keys(a.genotype);
+		var b_keys = Object.keys(b.genotype);
+
+		if(a_keys.length != b_keys.length)
+			return false;
+
+		return a_keys.every(function(variable, k)
+		{
+			return b_keys[k] === variable && isSameValue(a.genotype[variable], b.genotype[variable]);
+		});
+	}
+
+	/**
+	 * Remember parents of children created by genetic operator until replacement (used by steady-state and crowding replacement).
+	 * Children of previous operators in chain are substituted by their own parents. Parents passed unchanged are not children.
+	 *
+	 * @param   object  population  Population that applies genetic operator.
+	 * @param   array   children    Children created by operator.
+	 * @param   array   parents     Parents given to operator.
+	 *
+	 * @return  void
+	 */
+	function addLineage(population, children, parents)
+	{
+		var lineage = population.lineage;
+
+		var own_parents = [].concat.apply([], parents.map(function(parent)
+		{
+			return getParentsOfChild(lineage, parent) || [parent];
+		}));
+
+		children.forEach(function(child)
+		{
+			if(parents.indexOf(child) != -1 || lineage.children.indexOf(child) != -1)
+				return;
+
+			lineage.children.push(child);
+			lineage.parents.push(own_parents);
+		});
+	}
+
+	/**
+	 * Get parents of child created by genetic operators since last replacement.
+	 *
+	 * @param   object  lineage  Children and their parents remembered by population.
+	 * @param   object  child
+	 *
+	 * @return  array            Parents or null, when individual was not created by genetic operators.
+	 */
+	function getParentsOfChild(lineage, child)
+	{
+		var index = lineage.children.indexOf(child);
+
+		return (index == -1) ? null : lineage.parents[index];
+	}
+
+	/**
+	 * Evaluate child, which was created without fitness. Child with the same genotype as one of its parents gets fitness of this parent.
+	 * Strategy parameters are inherited from parents and repair function of algorithm is applied before evaluation.
+	 *
+	 * @param   object  algorithm  Algorithm that creates population.
+	 * @param   object  child      Child without fitness.
+	 * @param   array   parents    Parents of child.
+	 *
+	 * @return  object             Child.
+	 */
+	function evaluateChild(algorithm, child, parents)
+	{
+		if(!child.strategy)
+			child.strategy = getInheritedStrategy(parents);
+
+		algorithm.repairIndividual(child);
+
+		for(var p=0, len=parents.length; p<len; p++)
+		{
+			if(parents[p].fitness !== undefined && isSameGenotype(child, parents[p]))
+			{
+				child.fitness = parents[p].fitness;
+				return child;
+			}
+		}
+
+		child.fitness = algorithm.evaluate(child);
+
+		return child;
+	}
+
+	/**
+	 * Convert genetic operator specification to object.
+	 *
+	 * @param   mixed   operator  Name of operator or object {crossover|mutation|method, options, probability, groups, groupMethod, groupSize}.
+	 *
+	 * @return  object            Operator specification.
+	 */
+	function getOperatorSpec(operator)
+	{
+		if(typeof operator === 'string')
+			operator = {method: operator};
+
+		var type;
+		var method;
+
+		if(operator.crossover)
+		{
+			type   = 'crossover';
+			method = operator.crossover;
+		}
+		else if(operator.mutation)
+		{
+			type   = 'mutation';
+			method = operator.mutation;
+		}
+		else if(operator.method)
+		{
+			// names of all mutations end with '_mutation'
+			type   = (/_mutation$/.test(operator.method)) ? 'mutation' : 'crossover';
+			method = operator.method;
+		}
+		else
+			throw new Error('Genetic operator must have crossover or mutation method.');
+
+		return {
+			type:        type,
+			method:      method,
+			options:     operator.options || {},
+			probability: (operator.probability === undefined) ? 1 : operator.probability,
+			groups:      operator.groups,
+			groupMethod: operator.groupMethod,
+			groupSize:   operator.groupSize
+		};
+	}
+
+	/**
+	 * Get n random individuals in population.
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   int       n            Number of individuals.
+	 * @param   function  random       Random number generator.
+	 *
+	 * @return  array     Array of individuals.
+	 */
+	function getRandomParents(individuals, n, random)
+	{
+		var parents            = new Array(n);
+		var individuals_length = individuals.length;
+
+		for(var i=0; i<n; i++)
+		{
+			var index = Math.floor(random() * individuals_length);
+
+			parents[i] = individuals[index];
+		}
+
+		return parents;
+	}
+
+	/**
+	 * Get n best individuals in population.
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   int       n            Number of individuals.
+	 * @param   function  compare      Function that compares individuals. Higher fitness is better when omitted.
+	 *
+	 * @return  array     Array of best individuals.
+	 */
+	function getBestParents(individuals, n, compare)
+	{
+		// make copy of array
+		individuals = individuals.slice(0);
+
+		individuals.sort(compare || function(a, b) {
+			return b.fitness - a.fitness;
+		});
+
+		return individuals.slice(0, n);
+	}
+
+	/**
+	 * Get n individuals from population using roulette method.
+	 * Individuals are chosen uniformly when roulette is empty (every individual has zero fitness).
+	 *
+	 * @param   array     individuals   Individuals in population.
+	 * @param   string    method        Method to use.
+	 * @param   int       n             Number of individuals.
+	 * @param   bool      shuffleOrder  Shuffle order of individuals. This is used only for univerzal method.
+	 * @param   function  random        Random number generator.
+	 *
+	 * @return  array                   Array of individuals.
+	 */
+	function getParentsFromRoulette(individuals, method, n, shuffleOrder, random)
+	{
+		var fitnessValues = individuals.map(function(individual)
+		{
+			return Math.max(0, individual.fitness);
+		});
+		var parents       = [];
+		var rouletteSize  = 0;
+		var last          = individuals.length - 1;
+		var replacement   = function() { };
+		var sum           = function(values) { return values.reduce(function(a, b) { return a + b; }, 0); };
+		var f, j;
+
+		if(individuals.length === 0)
+			return [];
+
+		switch(method)
+		{
+			default:
+			case 'with_replacement':
+			case 'without_replacement':
+				// compute size of roulette
+				rouletteSize = sum(fitnessValues);
+				break;
+			case 'remainder_with_replacement':
+			case 'remainder_without_replacement':
+				individuals.forEach(function(individual, i)
+				{
+					// get only whole part of fitness
+					var wholePart = Math.floor(fitnessValues[i]);
+
+					for(var k=0; k<wholePart && parents.length<n; k++)
+						parents.push(individual);
+				});
+
+				// compute size of roulette only from decimal part of fitness
+				fitnessValues = fitnessValues.map(function(fitness)
+				{
+					return fitness % 1;
+				});
+
+				rouletteSize = sum(fitnessValues);
+				break;
+			case 'univerzal':
+				shuffleOrder = shuffleOrder || false;
+				var keys     = Object.keys(individuals);
+
+				if(shuffleOrder)
+				{
+					// randomly shuffle order of individuals
+					for(var a=0, len=keys.length; a<len; a++)
+					{
+						var b = a + Math.round(random() * (len - a - 1));
+						var temp = keys[a];
+						keys[a] = keys[b];
+						keys[b] = temp;
+					}
+				}
+
+				// compute size of roulette
+				rouletteSize = sum(fitnessValues);
+
+				if(rouletteSize === 0)
+					return getRandomParents(individuals, n, random);
+
+				var pointerStep = rouletteSize / n;
+
+				// compute start position
+				var roulette_position = random() * pointerStep;
+
+				f = fitnessValues[keys[0]];
+				j = 0;
+
+				// select n parents
+				for(var i=0; i<n; i++)
+				{
+					// find parent that is at computed position in roulette
+					while(f <= roulette_position && j < last)
+						f += fitnessValues[keys[++j]];
+
+					parents.push(individuals[keys[j]]);
+
+					roulette_position += pointerStep;
+				}
+
+				return parents;
+		}
+
+		if(method == 'without_replacement' || method == 'remainder_without_replacement')
+		{
+			replacement = function(j)
+			{
+				fitnessValues[j] = Math.max(0, fitnessValues[j] - 1);
+				rouletteSize     = sum(fitnessValues);
+			};
+		}
+
+		// select remaining parents
+		while(parents.length < n)
+		{
+			// the rest of parents is chosen uniformly when roulette is empty
+			if(rouletteSize <= 0)
+				return parents.concat(getRandomParents(individuals, n - parents.length, random));
+
+			// twist roulette
+			var position = random() * rouletteSize;
+
+			// find parent that is at computed position in roulette
+			f = fitnessValues[0];
+			j = 0;
+
+			while(f <= position && j < last)
+				f += fitnessValues[++j];
+
+			parents.push(individuals[j]);
+
+			// call replacement function
+			replacement(j);
+		}
+
+		return parents;
+	}
+
+	/**
+	 * Replace parents by children by crowding. Every child competes with the nearest of its own parents, which has not competed yet,
+	 * and winner stays in population. Child without known parents (see applyGeneticOperators) competes with the nearest of selected parents.
+	 *
+	 * @param   object  population     Population of individuals.
+	 * @param   array   parents        Selected parents.
+	 * @param   array   children       Children of parents.
+	 * @param   bool    probabilistic  Child wins with probability proportional to its fitness, otherwise better individual wins.
+	 *
+	 * @return  array                  New individuals.
+	 */
+	function getCrowdingReplacement(population, parents, children, probabilistic)
+	{
+		var algorithm = population.algorithm;
+		var next      = population.individuals.slice(0);
+		var random    = algorithm.random;
+
+		var candidates = parents.filter(function(parent, p)
+		{
+			return parents.indexOf(parent) == p && next.indexOf(parent) != -1;
+		});
+
+		// scaled fitness of parents and children is used as probability of win
+		var competitors = new Constructor(algorithm);
+		competitors.individuals = candidates.concat(children);
+
+		var values = (probabilistic) ? competitors.getScaledFitness() : null;
+		var offset = candidates.length;
+
+		children.forEach(function(child, c)
+		{
+			var own_parents = getParentsOfChild(population.lineage, child);
+			var nearest     = -1;
+			var distance    = Infinity;
+
+			candidates.forEach(function(parent, p)
+			{
+				if(own_parents && own_parents.indexOf(parent) == -1)
+					return;
+
+				var d = algorithm.getDistance(child, parent);
+
+				if(d < distance)
+				{
+					nearest  = p;
+					distance = d;
+				}
+			});
+
+			if(nearest == -1)
+				return;
+
+			var parent = candidates[nearest];
+			var wins;
+
+			if(probabilistic)
+			{
+				var child_value  = values[offset + c];
+				var parent_value = values[competitors.individuals.indexOf(parent)];
+				var total        = child_value + parent_value;
+
+				wins = random() < ((total > 0) ? child_value / total : 0.5);
+			}
+			else
+				wins = (algorithm.compare(child, parent) <= 0);
+
+			candidates.splice(nearest, 1);
+
+			if(wins)
+				next[next.indexOf(parent)] = child;
+		});
+
+		return next;
+	}
+
+	/**
+	 * Apply niching to fitness values used by selection.
+	 *
+	 * Fitness sharing (radius, alpha) divides value by niche count of individual. Clearing (radius, capacity) keeps value
+	 * only for capacity best individuals of every niche, other individuals get zero.
+	 *
+	 * @param   array   values      Fitness values, higher value is better.
+	 * @param   mixed   niching     Method name or object {method, radius, alpha, capacity}.
+	 * @param   object  population  Population of individuals.
+	 *
+	 * @return  array               Values after niching.
+	 */
+	function applyNiching(values, niching, population)
+	{
+		if(typeof niching === 'string')
+			niching = {method: niching};
+
+		var algorithm   = population.algorithm;
+		var individuals = population.individuals;
+		var length      = values.length;
+		var radius      = niching.radius || 1;
+		var i, j;
+
+		if(length === 0)
+			return [];
+
+		// niching expects non-negative values
+		var min = Math.min.apply(null, values);
+
+		if(min < 0)
+			values = values.map(function(value) { return value - min; });
+
+		switch(niching.method)
+		{
+			case 'clearing':
+				var capacity = niching.capacity || 1;
+				var order    = values.map(function(_, i) { return i; }).sort(function(a, b) { return values[b] - values[a]; });
+				var cleared  = values.slice(0);
+				var winners  = []; // best individual of every niche and number of its members
+
+				order.forEach(function(index)
+				{
+					for(var w=0, len=winners.length; w<len; w++)
+					{
+						if(algorithm.getDistance(individuals[index], individuals[winners[w].index]) < radius)
+						{
+							if(++winners[w].count > capacity)
+								cleared[index] = 0;
+
+							return;
+						}
+					}
+
+					winners.push({index: index, count: 1});
+				});
+
+				return cleared;
+			default:
+			case 'sharing':
+				var alpha = niching.alpha || 1;
+				var niche = values.map(function() { return 1; });
+
+				for(i=0; i<length; i++)
+				{
+					for(j=i+1; j<length; j++)
+					{
+						var distance = algorithm.getDistance(individuals[i], individuals[j]);
+
+						if(distance < radius)
+						{
+							var share = 1 - Math.pow(distance / radius, alpha);
+
+							niche[i] += share;
+							niche[j] += share;
+						}
+					}
+				}
+
+				return values.map(function(value, i) { return value / niche[i]; });
+		}
+	}
+
+	/**
+	 * Scale fitness values used by selection.
+	 *
+	 * @param   array   values      Fitness values, higher value is better.
+	 * @param   mixed   scaling     Method name, object {method, factor, exponent, window} or function(values, population).
+	 * @param   object  population  Population of individuals.
+	 *
+	 * @return  array               Scaled values.
+	 */
+	function scaleFitness(values, scaling, population)
+	{
+		if(Object.prototype.toString.call(scaling) === '[object Function]')
+			return scaling(values, population);
+
+		if(typeof scaling === 'string')
+			scaling = {method: scaling};
+
+		var length = values.length;
+
+		if(length === 0)
+			return [];
+
+		// linear and power scaling expect non-negative values
+		if((scaling.method == 'linear' || scaling.method == 'power') && Math.min.apply(null, values) < 0)
+		{
+			var shift = Math.min.apply(null, values);
+
+			values = values.map(function(value) { return value - shift; });
+		}
+
+		var min  = Math.min.apply(null, values);
+		var max  = Math.max.apply(null, values);
+		var mean = values.reduce(function(a, b) { return a + b; }, 0) / length;
+
+		switch(scaling.method)
+		{
+			case 'linear':
+				// expected number of copies of best individual
+				var factor = scaling.factor || 2;
+				var a = 1;
+				var b = 0;
+				var delta;
+
+				if(min > (factor * mean - max) / (factor - 1))
+				{
+					delta = max - mean;
+
+					if(delta > 0)
+					{
+						a = (factor - 1) * mean / delta;
+						b = mean * (max - factor * mean) / delta;
+					}
+				}
+				else
+				{
+					delta = mean - min;
+
+					if(delta > 0)
+					{
+						a = mean / delta;
+						b = -min * mean / delta;
+					}
+				}
+
+				return values.map(function(value)
+				{
+					return Math.max(0, a * value + b);
+				});
+			case 'sigma':
+				var c = scaling.factor || 2;
+				var deviation = Math.sqrt(values.reduce(function(sum, value)
+				{
+					return sum + (value - mean) * (value - mean);
+				}, 0) / length);
+
+				return values.map(function(value)
+				{
+					return Math.max(0, value - (mean - c * deviation));
+				});
+			case 'power':
+				var exponent = scaling.exponent || 1.005;
+
+				return values.map(function(value)
+				{
+					return Math.pow(Math.max(0, value), exponent);
+				});
+			case 'windowing':
+				var size    = scaling.window || 1;
+				var history = population.fitness_window;
+
+				// store worst value of current generation
+				if(history.length === 0 || history[history.length - 1].generation != population.generation)
+					history.push({generation: population.generation, min: min});
+				else
+					history[history.length - 1].min = min;
+
+				while(history.length > size)
+					history.shift();
+
+				var base = Math.min.apply(null, history.map(function(item) { return item.min; }));
+
+				return values.map(function(value)
+				{
+					return Math.max(0, value - base);
+				});
+			default:
+				throw new Error('Unsupported fitness scaling ' + scaling.method + '.');
+		}
+	}
+
+	/**
+	 * Select n individuals with probability proportional to given weights (stochastic sampling with replacement).
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   array     weights      Non-negative weight of each individual.
+	 * @param   int       n            Number of individuals.
+	 * @param   function  random       Random number generator.
+	 *
+	 * @return  array                  Array of individuals.
+	 */
+	function getParentsByWeights(individuals, weights, n, random)
+	{
+		var parents = new Array(n);
+		var total   = weights.reduce(function(a, b) { return a + b; }, 0);
+		var last    = individuals.length - 1;
+
+		if(!(total > 0))
+			return getRandomParents(individuals, n, random);
+
+		for(var i=0; i<n; i++)
+		{
+			var position = random() * total;
+			var j        = 0;
+
+			// find individual at computed position
+			while(j < last && position >= weights[j])
+				position -= weights[j++];
+
+			parents[i] = individuals[j];
+		}
+
+		return parents;
+	}
+
+	/**
+	 * Get n individuals from population using tournament selection.
+	 *
+	 * @param   array     individuals     Individuals in population.
+	 * @param   int       n               Number of individuals.
+	 * @param   int       size            Number of individuals in one tournament.
+	 * @param   bool      withReplacement Individual can compete in the same tournament more than once.
+	 * @param   function  random          Random number generator.
+	 * @param   function  compare         Function that compares individuals. Higher fitness is better when omitted.
+	 *
+	 * @return  array                     Array of tournament winners.
+	 */
+	function getParentsFromTournament(individuals, n, size, withReplacement, random, compare)
+	{
+		compare = compare || function(a, b) { return b.fitness - a.fitness; };
+
+		var parents            = new Array(n);
+		var individuals_length = individuals.length;
+
+		if(individuals_length === 0)
+			return [];
+
+		if(!withReplacement)
+			size = Math.min(size, individuals_length);
+
+		for(var i=0; i<n; i++)
+		{
+			var keys   = Object.keys(individuals);
+			var winner = null;
+
+			for(var t=0; t<size; t++)
+			{
+				var index;
+
+				if(withReplacement)
+					index = Math.floor(random() * individuals_length);
+				else
+				{
+					// remove contestant from candidates of this tournament
+					var k = Math.floor(random() * keys.length);
+					index = keys[k];
+					keys.splice(k, 1);
+				}
+
+				var contestant = individuals[index];
+
+				if(winner === null || compare(contestant, winner) < 0)
+					winner = contestant;
+			}
+
+			parents[i] = winner;
+		}
+
+		return parents;
+	}
+
+	/**
+	 * Get n individuals from population using rank selection.
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   string    method       Method to use. ('linear', 'exponential')
+	 * @param   int       n            Number of individuals.
+	 * @param   object    options      Options. (selectionPressure for linear method from interval [1, 2], base for exponential method from interval (0, 1))
+	 * @param   function  random       Random number generator.
+	 *
+	 * @return  array                  Array of individuals.
+	 */
+	function getParentsFromRank(individuals, method, n, options, random)
+	{
+		// best individual has rank 0
+		var ranked             = getBestParents(individuals, individuals.length);
+		var individuals_length = ranked.length;
+		var weights;
+
+		if(individuals_length === 0)
+			return [];
+
+		switch(method)
+		{
+			case 'exponential':
+				var base = options.base || 0.9;
+
+				weights = ranked.map(function(_, rank)
+				{
+					return Math.pow(base, rank);
+				});
+				break;
+			default:
+			case 'linear':
+				var pressure = (options.selectionPressure === undefined) ? 1.5 : options.selectionPressure;
+
+				weights = ranked.map(function(_, rank)
+				{
+					if(individuals_length == 1)
+						return 1;
+
+					return (2 - pressure) / individuals_length + 2 * (individuals_length - 1 - rank) * (pressure - 1) / (individuals_length * (individuals_length - 1));
+				});
+		}
+
+		return getParentsByWeights(ranked, weights, n, random);
+	}
+
+	/**
+	 * Get n individuals randomly chosen from best part of population.
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   int       n            Number of individuals.
+	 * @param   float     threshold    Part of population that can be selected, from interval (0, 1].
+	 * @param   function  random       Random number generator.
+	 *
+	 * @return  array                  Array of individuals.
+	 */
+	function getParentsFromTruncation(individuals, n, threshold, random)
+	{
+		var size = Math.max(1, Math.round(individuals.length * threshold));
+
+		return getRandomParents(getBestParents(individuals, size), n, random);
+	}
+
+	/**
+	 * Get n individuals from population using Boltzmann selection.
+	 *
+	 * @param   array     individuals  Individuals in population.
+	 * @param   int       n            Number of individuals.
+	 * @param   float     temperature  Temperature, lower temperature means higher selection pressure.
+	 * @param   function  random       Random number generator.
+	 *
+	 * @return  array                  Array of individuals.
+	 */
+	function getParentsFromBoltzmann(individuals, n, temperature, random)
+	{
+		if(individuals.length === 0)
+			return [];
+
+		var max_fitness = individuals.reduce(function(a, b)
+		{
+			return Math.max(a, b.fitness);
+		}, -Infinity);
+
+		// shift by maximal fitness to avoid overflow
+		var weights = individuals.map(function(individual)
+		{
+			return Math.exp((individual.fitness - max_fitness) / temperature);
+		});
+
+		return getParentsByWeights(individuals, weights, n, random);
+	}
+
+	/**
+	 * Adapt step size of population by 1/5th success rule. When more than fifth of mutations in period produced better child
+	 * than its parent, step size is increased, when less, it is decreased.
+	 *
+	 * @param   object  population  Population of individuals.
+	 *
+	 * @return  void
+	 */
+	function updateStepSize(population)
+	{
+		var adaptation = population.step_adaptation;
+
+		if(!adaptation)
+			return;
+
+		var algorithm = population.algorithm;
+
+		// mutations of not evaluated children are counted later
+		adaptation.trials = adaptation.trials.filter(function(trial)
+		{
+			if(trial.child.fitness === undefined)
+				return true;
+
+			adaptation.count++;
+
+			if(algorithm.compare(trial.child, trial.parent) < 0)
+				adaptation.successes++;
+
+			return false;
+		});
+
+		if(++adaptation.generations < adaptation.period || adaptation.count === 0)
+			return;
+
+		var ratio = adaptation.successes / adaptation.count;
+
+		if(ratio > 0.2)
+			population.step_size /= adaptation.factor;
+		else if(ratio < 0.2)
+			population.step_size *= adaptation.factor;
+
+		adaptation.generations = 0;
+		adaptation.successes   = 0;
+		adaptation.count       = 0;
+	}
+
+	/**
+	 * Get function that mutates one value of individual.
+	 *
+	 * @param   string  method      Mutation method. ('uniform_mutation', 'extremal_mutation', 'gaussian_mutation', 'polynomial_mutation', 'non_uniform_mutation', 'cauchy_mutation')
+	 * @param   object  options     Options of mutation.
+	 * @param   object  population  Population that is mutated.
+	 *
+	 * @return  function            Function(cur_value, variable) that returns new value.
+	 */
+	function getValueMutationFunction(method, options, population)
+	{
+		var algorithm = population.algorithm;
+		var random    = algorithm.random;
+		var repair    = options.repair;
+		var f;
+
+		switch(method)
+		{
+			case 'extremal_mutation':
+				f = function(cur_value, variable_schema) {
+					return (random() > 0.5) ? variable_schema.max : variable_schema.min;
+				};
+				break;
+			case 'gaussian_mutation':
+				// step size adapted by 1/5th success rule
+				var step_size = (options.one_fifth_rule) ? population.step_size : 1;
+
+				f = function(cur_value, variable_schema) {
+					var sigma = options.sigma || (variable_schema.max - variable_schema.min) * (options.relative_sigma || 0.1);
+
+					return cur_value + step_size * sigma * algorithm.randomGaussian();
+				};
+				break;
+			case 'cauchy_mutation':
+				f = function(cur_value, variable_schema) {
+					var scale = options.scale || (variable_schema.max - variable_schema.min) * (options.relative_scale || 0.1);
+
+					return cur_value + scale * Math.tan(Math.PI * (random() - 0.5));
+				};
+				break;
+			case 'polynomial_mutation':
+				var eta_m = options.eta_m || 20;
+
+				f = function(cur_value, variable_schema) {
+					var range = variable_schema.max - variable_schema.min;
+
+					if(range <= 0)
+						return cur_value;
+
+					var u     = random();
+					var power = 1 / (eta_m + 1);
+					var delta;
+
+					if(u < 0.5)
+					{
+						var delta1 = (cur_value - variable_schema.min) / range;
+						delta = Math.pow(2 * u + (1 - 2 * u) * Math.pow(1 - delta1, eta_m + 1), power) - 1;
+					}
+					else
+					{
+						var delta2 = (variable_schema.max - cur_value) / range;
+						delta = 1 - Math.pow(2 * (1 - u) + 2 * (u - 0.5) * Math.pow(1 - delta2, eta_m + 1), power);
+					}
+
+					return cur_value + delta * range;
+				};
+				break;
+			case 'non_uniform_mutation':
+				var max_generations = options.max_generations || 100;
+				var b               = options.b || 5;
+
+				// size of change shrinks with generation number
+				var delta = function(y)
+				{
+					var t = Math.min(1, population.generation / max_generations);
+
+					return y * (1 - Math.pow(random(), Math.pow(1 - t, b)));
+				};
+
+				f = function(cur_value, variable_schema) {
+					if(random() < 0.5)
+						return cur_value + delta(variable_schema.max - cur_value);
+					else
+						return cur_value - delta(cur_value - variable_schema.min);
+				};
+				break;
+			default:
+			case 'uniform_mutation':
+				var max_percent_change = options.max_percent_change || 1;
+
+				f = function(cur_value, variable_schema) {
+					var max_change = (variable_schema.max - variable_schema.min) * max_percent_change;
+					var change     = (random() * max_change * 2) - max_change; // from -max_change to +max_change
+
+					return cur_value + change;
+				};
+		}
+
+		return function(cur_value, variable)
+		{
+			var variable_schema = algorithm.getVariableSchema(variable);
+
+			// bit strings are changed only by bit flip mutation and trees only by tree mutations
+			if(variable_schema.type == 'BINARY' || variable_schema.type == 'TREE')
+				return cur_value;
+
+			// boolean values are flipped
+			if(variable_schema.type == 'BOOL')
+				return (method == 'extremal_mutation') ? random() > 0.5 : !cur_value;
+
+			return algorithm.repairValue(variable, f(cur_value, variable_schema), repair); // stay in bounds of variable
+		};
+	}
+
+	/**
+	 * Get value moved to other position of genotype by structural mutation. Value is repaired to type and bounds of its new variable,
+	 * bit string moved to variable of other type is replaced by random value.
+	 *
+	 * @param   object  algorithm  Algorithm that creates population.
+	 * @param   string  variable   Name of new variable of value.
+	 * @param   mixed   value      Moved value.
+	 * @param   string  repair     Method used to repair values out of bounds.
+	 *
+	 * @return  mixed
+	 */
+	function getMovedValue(algorithm, variable, value, repair)
+	{
+		if(Object.prototype.toString.call(value) === '[object Array]' && algorithm.getVariableSchema(variable).type != 'BINARY')
+			return algorithm.generateValue(variable);
+
+		return algorithm.repairValue(variable, value, repair);
+	}
+
+	/**
+	 * Get random segment of array.
+	 *
+	 * @param   int       length  Length of array.
+	 * @param   function  random  Random number generator.
+	 *
+	 * @return  array             Start (inclusive) and end (exclusive) index of segment.
+	 */
+	function getRandomSegment(length, random)
+	{
+		var start = Math.floor(random() * length);
+		var end   = Math.floor(random() * length);
+
+		if(start > end)
+		{
+			var temp = start;
+			start = end;
+			end = temp;
+		}
+
+		return [start, end + 1];
+	}
+
+	/**
+	 * Get cut points of cut and splice crossover, so that lengths of both children are in bounds of individual length.
+	 *
+	 * @param   int       length1    Length of first parent.
+	 * @param   int       length2    Length of second parent.
+	 * @param   object    algorithm  Algorithm with bounds of individual length.
+	 * @param   function  random     Random number generator.
+	 *
+	 * @return  array                Cut points in first and second parent or null, when lengths of parents are out of bounds.
+	 */
+	function getCutAndSplicePoints(length1, length2, algorithm, random)
+	{
+		var min = algorithm.min_individual_length;
+		var max = algorithm.max_individual_length;
+
+		var index1 = Math.floor(random() * (length1 + 1));
+
+		// first child has length index1 + length2 - index2, second one index2 + length1 - index1
+		var low  = Math.max(0, index1 + length2 - max, min - length1 + index1);
+		var high = Math.min(length2, index1 + length2 - min, max - length1 + index1);
+
+		if(low > high)
+			return null;
+
+		return [index1, low + Math.floor(random() * (high - low + 1))];
+	}
+
+	/**
+	 * Partially mapped crossover (PMX) of two permutations.
+	 *
+	 * @param   array  p1     First parent, segment is copied from it.
+	 * @param   array  p2     Second parent.
+	 * @param   int    start  Start of segment.
+	 * @param   int    end    End of segment (exclusive).
+	 *
+	 * @return  array         Child.
+	 */
+	function getPartiallyMappedChild(p1, p2, start, end)
+	{
+		var length    = p1.length;
+		var child     = new Array(length);
+		var positions = {}; // positions of values in second parent
+		var used      = {};
+		var i;
+
+		for(i=0; i<length; i++)
+			positions[p2[i]] = i;
+
+		for(i=start; i<end; i++)
+		{
+			child[i] = p1[i];
+			used[p1[i]] = true;
+		}
+
+		// place values from segment of second parent, which are not in child, using mapping
+		for(i=start; i<end; i++)
+		{
+			var value = p2[i];
+
+			if(used[value])
+				continue;
+
+			var position = i;
+
+			while(position >= start && position < end)
+				position = positions[p1[position]];
+
+			child[position] = value;
+			used[value] = true;
+		}
+
+		// rest is copied from second parent
+		for(i=0; i<length; i++)
+		{
+			if(child[i] === undefined)
+				child[i] = p2[i];
+		}
+
+		return child;
+	}
+
+	/**
+	 * Order crossover (OX) of two permutations.
+	 *
+	 * @param   array  p1     First parent, segment is copied from it.
+	 * @param   array  p2     Second parent, order of remaining values is taken from it.
+	 * @param   int    start  Start of segment.
+	 * @param   int    end    End of segment (exclusive).
+	 *
+	 * @return  array         Child.
+	 */
+	function getOrderChild(p1, p2, start, end)
+	{
+		var length = p1.length;
+		var child  = new Array(length);
+		var used   = {};
+		var i;
+
+		for(i=start; i<end; i++)
+		{
+			child[i] = p1[i];
+			used[p1[i]] = true;
+		}
+
+		// fill remaining positions from end of segment in order of second parent
+		var position = end % length;
+
+		for(i=0; i<length; i++)
+		{
+			var value = p2[(end + i) % length];
+
+			if(used[value])
+				continue;
+
+			child[position] = value;
+			position = (position + 1) % length;
+		}
+
+		return child;
+	}
+
+	/**
+	 * Cycle crossover (CX) of two permutations.
+	 *
+	 * @param   array  p1  First parent.
+	 * @param   array  p2  Second parent.
+	 *
+	 * @return  array      Two children.
+	 */
+	function getCycleChildren(p1, p2)
+	{
+		var length    = p1.length;
+		var c1        = new Array(length);
+		var c2        = new Array(length);
+		var positions = {}; // positions of values in first parent
+		var cycle     = 0;
+		var i;
+
+		for(i=0; i<length; i++)
+			positions[p1[i]] = i;
+
+		for(i=0; i<length; i++)
+		{
+			if(c1[i] !== undefined)
+				continue;
+
+			// odd cycles are taken from other parent
+			var position = i;
+
+			do
+			{
+				c1[position] = (cycle % 2) ? p2[position] : p1[position];
+				c2[position] = (cycle % 2) ? p1[position] : p2[position];
+				position     = positions[p2[position]];
+			}
+			while(position !== i);
+
+			cycle++;
+		}
+
+		return [c1, c2];
+	}
+
+	/**
+	 * Edge recombination crossover (ERX) of two permutations.
+	 *
+	 * @param   array     p1      First parent, child starts with its first value.
+	 * @param   array     p2      Second parent.
+	 * @param   function  random  Random number generator.
+	 *
+	 * @return  array             Child.
+	 */
+	function getEdgeRecombinationChild(p1, p2, random)
+	{
+		var length = p1.length;
+		var edges  = {};
+		var child  = [];
+
+		// create neighbour lists from both parents
+		[p1, p2].forEach(function(parent)
+		{
+			for(var i=0; i<length; i++)
+			{
+				var value = parent[i];
+				var list  = edges[value] = edges[value] || [];
+
+				[parent[(i + length - 1) % length], parent[(i + 1) % length]].forEach(function(neighbour)
+				{
+					if(neighbour !== value && list.indexOf(neighbour) == -1)
+						list.push(neighbour);
+				});
+			}
+		});
+
+		var current = p1[0];
+
+		while(child.length < length)
+		{
+			child.push(current);
+
+			// remove current value from all neighbour lists
+			var candidates = edges[current];
+			delete edges[current];
+
+			Object.keys(edges).forEach(function(key)
+			{
+				var index = edges[key].indexOf(current);
+
+				if(index != -1)
+					edges[key].splice(index, 1);
+			});
+
+			if(child.length == length)
+				break;
+
+			if(candidates.length > 0)
+			{
+				// next value is neighbour with fewest neighbours
+				var fewest = Infinity;
+				var best   = [];
+
+				candidates.forEach(function(candidate)
+				{
+					var count = edges[candidate].length;
+
+					if(count < fewest)
+					{
+						fewest = count;
+						best   = [candidate];
+					}
+					else if(count == fewest)
+						best.push(candidate);
+				});
+
+				current = best[Math.floor(random() * best.length)];
+			}
+			else
+			{
+				// choose random remaining value
+				var remaining = p1.filter(function(value) { return edges.hasOwnProperty(value); });
+
+				current = remaining[Math.floor(random() * remaining.length)];
+			}
+		}
+
+		return child;
+	}
+
+	/**
+	 * Get index of individual deleted from population by steady-state replacement.
+	 *
+	 * @param   array   individuals      Individuals of population.
+	 * @param   object  child            Inserted child.
+	 * @param   array   parents          Parents of child.
+	 * @param   string  deletion         Method of deletion. (worst, oldest, random, parent, inverse_tournament)
+	 * @param   int     tournament_size  Number of individuals in inverse tournament.
+	 * @param   object  algorithm        Algorithm that compares individuals.
+	 *
+	 * @return  int                      Index of deleted individual, -1 for empty population.
+	 */
+	function getDeletedIndex(individuals, child, parents, deletion, tournament_size, algorithm)
+	{
+		var length = individuals.length;
+		var random = algorithm.random;
+
+		if(length === 0)
+			return -1;
+
+		// index of the worst individual from given indexes
+		var getWorst = function(indexes)
+		{
+			return indexes.reduce(function(worst, index)
+			{
+				return (algorithm.compare(individuals[index], individuals[worst]) > 0) ? index : worst;
+			});
+		};
+
+		var indexes;
+
+		switch(deletion)
+		{
+			case 'oldest':
+				// the worst of the oldest individuals
+				var max_age = Math.max.apply(null, individuals.map(function(individual) { return individual.age || 0; }));
+
+				indexes = [];
+
+				individuals.forEach(function(individual, i)
+				{
+					if((individual.age || 0) == max_age)
+						indexes.push(i);
+				});
+
+				return getWorst(indexes);
+			case 'random':
+				return Math.floor(random() * length);
+			case 'inverse_tournament':
+				indexes = [];
+
+				for(var t=0; t<tournament_size; t++)
+					indexes.push(Math.floor(random() * length));
+
+				return getWorst(indexes);
+			case 'parent':
+				// child replaces the most similar of its parents, which are still in population
+				var nearest  = -1;
+				var distance = Infinity;
+
+				for(var p=0, parents_length=parents.length; p<parents_length; p++)
+				{
+					var index = individuals.indexOf(parents[p]);
+
+					if(index == -1)
+						continue;
+
+					var d = algorithm.getDistance(child, parents[p]);
+
+					if(d < distance)
+					{
+						nearest  = index;
+						distance = d;
+					}
+				}
+
+				if(nearest != -1)
+					return nearest;
+
+				// the worst individual is replaced, when no parent is in population
+				break;
+			case 'worst':
+				break;
+			default:
+				throw new Error('Unknown deletion method ' + deletion + '.');
+		}
+
+		return getWorst(Array.apply(null, new Array(length)).map(function(_, i) { return i; }));
+	}
+
+	/**
+	 * Get all nodes of expression tree. Node is given by path, which contains indexes of children from root to node.
+	 *
+	 * @param   mixed  tree
+	 *
+	 * @return  array        Nodes {path, node, function}.
+	 */
+	function getTreeNodes(tree)
+	{
+		var nodes = [];
+
+		var walk = function(node, path)
+		{
+			var is_function = (Object.prototype.toString.call(node) === '[object Array]');
+
+			nodes.push({path: path, node: node, function: is_function});
+
+			if(is_function)
+			{
+				for(var c=1, len=node.length; c<len; c++)
+					walk(node[c], path.concat(c));
+			}
+		};
+
+		walk(tree, []);
+
+		return nodes;
+	}
+
+	/**
+	 * Get depth of expression tree, tree with single terminal has depth 1.
+	 *
+	 * @param   mixed  tree
+	 *
+	 * @return  int
+	 */
+	function getTreeDepth(tree)
+	{
+		if(Object.prototype.toString.call(tree) !== '[object Array]')
+			return 1;
+
+		var depth = 0;
+
+		for(var c=1, len=tree.length; c<len; c++)
+			depth = Math.max(depth, getTreeDepth(tree[c]));
+
+		return depth + 1;
+	}
+
+	/**
+	 * Replace subtree of expression tree. Only nodes on path are copied, original tree is not changed.
+	 *
+	 * @param   mixed  tree     Tree.
+	 * @param   array  path     Path to replaced node.
+	 * @param   mixed  subtree  New subtree.
+	 *
+	 * @return  mixed           New tree.
+	 */
+	function replaceSubtree(tree, path, subtree)
+	{
+		if(path.length === 0)
+			return subtree;
+
+		var copy = tree.slice();
+
+		copy[path[0]] = replaceSubtree(tree[path[0]], path.slice(1), subtree);
+
+		return copy;
+	}
+
+	/**
+	 * Choose random node of expression tree. Function nodes are chosen with given probability (if tree has any), terminals otherwise.
+	 *
+	 * @param   mixed     tree                  Tree.
+	 * @param   float     function_probability  Probability of choosing function node, all nodes are equally likely when not given.
+	 * @param   function  random                Random number generator.
+	 *
+	 * @return  object                          Node {path, node, function}.
+	 */
+	function chooseTreeNode(tree, function_probability, random)
+	{
+		var nodes = getTreeNodes(tree);
+
+		if(function_probability !== undefined)
+		{
+			var is_function = (random() < function_probability);
+			var filtered    = nodes.filter(function(node) { return node.function === is_function; });
+
+			if(filtered.length > 0)
+				nodes = filtered;
+		}
+
+		return nodes[Math.floor(random() * nodes.length)];
+	}
+
+	/**
+	 * Sort individuals to fronts by Pareto dominance (fast non-dominated sorting). Rank of front is stored in individuals.
+	 *
+	 * @param   array   individuals  Individuals to sort.
+	 * @param   object  algorithm    Algorithm that compares individuals.
+	 *
+	 * @return  array                Array of fronts, first front contains non-dominated individuals.
+	 */
+	function getNonDominatedFronts(individuals, algorithm)
+	{
+		var length           = individuals.length;
+		var dominated        = new Array(length); // indexes of individuals dominated by individual
+		var domination_count = new Array(length); // number of individuals that dominate individual
+		var fronts           = [[]];
+		var i, j;
+
+		for(i=0; i<length; i++)
+		{
+			dominated[i]        = [];
+			domination_count[i] = 0;
+		}
+
+		for(i=0; i<length; i++)
+		{
+			for(j=i+1; j<length; j++)
+			{
+				if(algorithm.dominates(individuals[i], individuals[j]))
+				{
+					dominated[i].push(j);
+					domination_count[j]++;
+				}
+				else if(algorithm.dominates(individuals[j], individuals[i]))
+				{
+					dominated[j].push(i);
+					domination_count[i]++;
+				}
+			}
+		}
+
+		for(i=0; i<length; i++)
+		{
+			if(domination_count[i] === 0)
+				fronts[0].push(i);
+		}
+
+		for(var f=0; fronts[f].length > 0; f++)
+		{
+			var next = [];
+
+			fronts[f].forEach(function(index)
+			{
+				individuals[index].rank = f;
+
+				dominated[index].forEach(function(k)
+				{
+					if(--domination_count[k] === 0)
+						next.push(k);
+				});
+			});
+
+			fronts.push(next);
+		}
+
+		fronts.pop();
+
+		return fronts.map(function(front)
+		{
+			return front.map(function(index) { return individuals[index]; });
+		});
+	}
+
+	/**
+	 * Compute crowding distance of individuals in one front. Distance is stored in individuals.
+	 *
+	 * @param   array   front      Individuals in front.
+	 * @param   object  algorithm  Algorithm with objectives.
+	 *
+	 * @return  void
+	 */
+	function setCrowdingDistance(front, algorithm)
+	{
+		var length     = front.length;
+		var objectives = (algorithm.objectives) ? algorithm.objectives.length : 1;
+
+		var value = function(individual, o)
+		{
+			return (algorithm.objectives) ? individual.fitness[o] : individual.fitness;
+		};
+
+		front.forEach(function(individual)
+		{
+			individual.crowding_distance = 0;
+		});
+
+		for(var o=0; o<objectives; o++)
+		{
+			var sorted = front.slice(0).sort(function(a, b) { return value(a, o) - value(b, o); });
+			var range  = value(sorted[length - 1], o) - value(sorted[0], o);
+
+			// boundary individuals are always preferred
+			sorted[0].crowding_distance          = Infinity;
+			sorted[length - 1].crowding_distance = Infinity;
+
+			if(range <= 0)
+				continue;
+
+			for(var i=1; i<length-1; i++)
+				sorted[i].crowding_distance += (value(sorted[i + 1], o) - value(sorted[i - 1], o)) / range;
+		}
+	}
+
+	/**
+	 * Crowded comparison of individuals with computed rank and crowding distance.
+	 *
+	 * @param   object  a  First individual.
+	 * @param   object  b  Second individual.
+	 *
+	 * @return  int        Negative number if first individual is better.
+	 */
+	function crowdedCompare(a, b)
+	{
+		if(a.rank != b.rank)
+			return a.rank - b.rank;
+
+		if(a.crowding_distance == b.crowding_distance)
+			return 0;
+
+		return (a.crowding_distance > b.crowding_distance) ? -1 : 1;
+	}
+
+	/**
+	 * Sort individuals from the best one. Pareto dominance is not consistent order for sorting,
+	 * so multi-objective individuals are sorted by fronts and crowding distance. Repeated individuals
+	 * (e.g. parents selected more times) are placed after all distinct ones.
+	 *
+	 * @param   array   individuals  Individuals to sort, array is sorted in place.
+	 * @param   object  algorithm    Algorithm that compares individuals.
+	 *
+	 * @return  array                Sorted individuals.
+	 */
+	function sortIndividuals(individuals, algorithm)
+	{
+		if(algorithm.objectives)
+		{
+			var distinct = [];
+			var repeated = [];
+
+			individuals.forEach(function(individual)
+			{
+				((distinct.indexOf(individual) == -1) ? distinct : repeated).push(individual);
+			});
+
+			getNonDominatedFronts(distinct, algorithm).forEach(function(front)
+			{
+				setCrowdingDistance(front, algorithm);
+			});
+
+			var sorted = distinct.sort(crowdedCompare).concat(repeated.sort(crowdedCompare));
+
+			sorted.unshift(0, individuals.length);
+			Array.prototype.splice.apply(individuals, sorted);
+
+			return individuals;
+		}
+
+		return individuals.sort(function(a, b) { return algorithm.compare(a, b); });
+	}
+
+	Constructor.prototype = {
+		/**
+		 * Count individuals in population.
+		 *
+		 * @return  int
+		 */
+		get count()
+		{
+			return this.individuals.length;
+		},
+
+		/**
+		 * Insert individual to population.
+		 *
+		 * @param   object  individual
+		 *
+		 * @return  void
+		 */
+		push: function(individual)
+		{
+			if(!(individual instanceof EvolutionaryAlgorithmIndividual))
+				throw new Error('Population must consists only from EvolutionaryAlgorithmIndividual objects.');
+
+			this.individuals.push(individual);
+		},
+
+		/**
+		 * Check if population has given individual.
+		 *
+		 * @param   object   individual
+		 *
+		 * @return  boolean
+		 */
+		hasIndividual: function(individual)
+		{
+			return (this.individuals.indexOf(individual) != -1);
+		},
+
+		/**
+		 * Get best individual in population. For multi-objective fitness one of non-dominated individuals is returned.
+		 *
+		 * @return  object  Best individual or undefined for empty population.
+		 */
+		getBest: function()
+		{
+			var algorithm = this.algorithm;
+
+			if(algorithm.objectives)
+				return this.getParetoFront()[0];
+
+			return getBestParents(this.individuals, 1, function(a, b) { return algorithm.compare(a, b); })[0];
+		},
+
+		/**
+		 * Sort individuals in population to fronts by Pareto dominance and compute crowding distance in each front.
+		 * Rank of front and crowding distance are stored in individuals (rank, crowding_distance).
+		 *
+		 * @return  array  Array of fronts, first front contains non-dominated individuals.
+		 */
+		sortByDominance: function()
+		{
+			var algorithm = this.algorithm;
+			var fronts    = getNonDominatedFronts(this.individuals, algorithm);
+
+			fronts.forEach(function(front)
+			{
+				setCrowdingDistance(front, algorithm);
+			});
+
+			return fronts;
+		},
+
+		/**
+		 * Get non-dominated individuals in population.
+		 *
+		 * @return  array
+		 */
+		getParetoFront: function()
+		{
+			return getNonDominatedFronts(this.individuals, this.algorithm)[0] || [];
+		},
+
+		/**
+		 * Get n best individuals ordered from best to worst. Multi-objective individuals are ordered by fronts and crowding distance.
+		 *
+		 * @param   int    n  Number of individuals.
+		 *
+		 * @return  array
+		 */
+		getBestIndividuals: function(n)
+		{
+			var algorithm = this.algorithm;
+
+			if(algorithm.objectives)
+			{
+				this.sortByDominance();
+
+				return this.individuals.slice(0).sort(crowdedCompare).slice(0, n);
+			}
+
+			return getBestParents(this.individuals, n, function(a, b) { return algorithm.compare(a, b); });
+		},
+
+		/**
+		 * Get fitness values seen by selection. Raw fitness of individuals is not changed.
+		 *
+		 * Fitness of minimized objective is negated, so higher value is always better. When no scaling is used,
+		 * values are shifted so the worst individual has zero value. Fitness of infeasible individuals is penalized
+		 * or, with feasibility rules, it is set below the worst feasible fitness.
+		 * Multi-objective fitness is converted to number of fronts minus rank of individual's front.
+		 * Supported scaling methods: linear (factor), sigma (factor), power (exponent), windowing (window) or custom function(values, population).
+		 * Negative values are shifted to zero before linear and power scaling.
+		 *
+		 * Niching (sharing or clearing, see applyNiching) is applied after scaling.
+		 *
+		 * @param   mixed  scaling  Scaling method. Scaling of algorithm is used when omitted.
+		 * @param   mixed  niching  Niching method or object {method, radius, alpha, capacity}.
+		 *
+		 * @return  array           Scaled values in order of individuals.
+		 */
+		getScaledFitness: function(scaling, niching)
+		{
+			var minimize = (this.algorithm.objective == 'min');
+			var values;
+
+			if(this.algorithm.objectives)
+			{
+				var fronts_count = this.sortByDominance().length;
+
+				minimize = false;
+				values   = this.individuals.map(function(individual)
+				{
+					return fronts_count - individual.rank;
+				});
+			}
+			else
+			{
+				var algorithm = this.algorithm;
+
+				values = this.individuals.map(function(individual)
+				{
+					var fitness = algorithm.getPenalizedFitness(individual);
+
+					return (minimize) ? -fitness : fitness;
+				});
+
+				// infeasible individuals are worse than the worst feasible one by their violation
+				if(algorithm.constraints.length > 0 && algorithm.constraint_handling == 'feasibility')
+				{
+					var individuals   = this.individuals;
+					var worstFeasible = null;
+
+					values.forEach(function(value, i)
+					{
+						if(individuals[i].feasible && (worstFeasible === null || value < worstFeasible))
+							worstFeasible = value;
+					});
+
+					values = values.map(function(value, i)
+					{
+						return (individuals[i].feasible) ? value : (worstFeasible || 0) - individuals[i].violation;
+					});
+				}
+			}
+
+			scaling = scaling || this.algorithm.scaling;
+
+			if(scaling)
+				values = scaleFitness(values, scaling, this);
+			else if(values.length > 0)
+			{
+				var min = Math.min.apply(null, values);
+
+				values = values.map(function(value) { return value - min; });
+			}
+
+			if(niching)
+				values = applyNiching(values, niching, this);
+
+			return values;
+		},
+
+		/**
+		 * Get diversity of population as mean distance of all pairs of individuals (see EvolutionaryAlgorithm.getDistance).
+		 *
+		 * @return  float
+		 */
+		getDiversity: function()
+		{
+			var individuals = this.individuals;
+			var length      = individuals.length;
+			var sum         = 0;
+
+			if(length < 2)
+				return 0;
+
+			for(var i=0; i<length; i++)
+			{
+				for(var j=i+1; j<length; j++)
+					sum += this.algorithm.getDistance(individuals[i], individuals[j]);
+			}
+
+			return sum / (length * (length - 1) / 2);
+		},
+
+		/**
+		 * Get n best individuals in population.
+		 *
+		 * Supported methods: best, random, roulette (rouletteMethod, shuffleOrder), tournament (tournamentSize, tournamentReplacement),
+		 * rank (rankMethod: linear (selectionPressure), exponential (base)), truncation (threshold), boltzmann (temperature).
+		 * Every method accepts scaling and niching options (see getScaledFitness).
+		 * Method crowded_tournament (tournamentSize) compares rank of front and crowding distance (NSGA-II).
+		 *
+		 * @param   string  method   Method to use.
+		 * @param   int     n        Number of individuals.
+		 * @param   object  options  Some other settings for methods.
+		 *
+		 * @return  array      Array of best individuals.
+		 */
+		getParents: function(method, n, options)
+		{
+			options = options || {};
+
+			var random = this.algorithm.random;
+
+			if(method == 'crowded_tournament')
+			{
+				this.sortByDominance();
+
+				return getParentsFromTournament(this.individuals, n, options.tournamentSize || 2, true, random, crowdedCompare);
+			}
+
+			var values = this.getScaledFitness(options.scaling, options.niching);
+
+			// selection methods see only scaled fitness
+			var candidates = this.individuals.map(function(individual, i)
+			{
+				return {fitness: values[i], individual: individual};
+			});
+
+			var selected = [];
+
+			switch(method)
+			{
+				case 'best':
+					selected = getBestParents(candidates, n);
+					break;
+				case 'roulette':
+					var rouletteMethod = options.rouletteMethod || 'with_replacement';
+					selected = getParentsFromRoulette(candidates, rouletteMethod, n, options.shuffleOrder, random);
+					break;
+				case 'random':
+					selected = getRandomParents(candidates, n, random);
+					break;
+				case 'tournament':
+					var tournamentReplacement = (options.tournamentReplacement === undefined) ? true : options.tournamentReplacement;
+					selected = getParentsFromTournament(candidates, n, options.tournamentSize || 2, tournamentReplacement, random);
+					break;
+				case 'rank':
+					selected = getParentsFromRank(candidates, options.rankMethod || 'linear', n, options, random);
+					break;
+				case 'truncation':
+					selected = getParentsFromTruncation(candidates, n, options.threshold || 0.5, random);
+					break;
+				case 'boltzmann':
+					selected = getParentsFromBoltzmann(candidates, n, options.temperature || 1, random);
+					break;
+				default:
+
+			}
+
+			return selected.map(function(candidate)
+			{
+				return candidate.individual;
+			});
+		},
+
+		/**
+		 * Method to get groups of parents, that goes to crossover.
+		 *
+		 * @param   array   parents     Selected parents.
+		 * @param   int     n           Number of groups.
+		 * @param   string  method      Method to use.
+		 * @param   int     group_size  Number of parents in group.
+		 *
+		 * @return  array               Groups.
+		 */
+		getParentGroups: function(parents, n, method, group_size)
+		{
+			if(!parents || parents.length === 0)
+				return [];
+
+			n = n || 0;
+
+			if(n == 0)
+				return [];
+
+			group_size = group_size || 2;
+
+			var random         = this.algorithm.random;
+			var parents_length = parents.length;
+			var groups         = [];
+
+			switch(method)
+			{
+				default:
+				case 'random':
+					for(var i=0; i<n; i++)
+					{
+						var p1 = parents[Math.floor(random() * parents_length)];
+						var p2 = parents[Math.floor(random() * parents_length)];
+
+						groups.push([p1, p2]);
+					}
+					break;
+			}
+
+			return groups;
+		},
+
+		/**
+		 * Method to make crossover.
+		 *
+		 * Supported methods: one_point (different_points), two_point, k_point (points), uniform (swap_probability), mean,
+		 * for variable individual length cut_and_splice (one point with different cut points in parents) and homologous (segment on the same positions),
+		 * for REAL coding blx_alpha (alpha), sbx (eta), arithmetic (alpha), heuristic
+		 * and for PERMUTATION coding pmx, order, cycle, edge_recombination.
+		 * BINARY variables are crossed at bit level by one_point, two_point, k_point and uniform methods.
+		 * TREE variables are crossed only by subtree method (function_probability), which swaps random subtrees of parents.
+		 * Other variables are copied from parents, child deeper than depth limit of variable gets tree of its parent.
+		 * Lengths of children stay in bounds of individual length, parents are returned unchanged when no valid cut exists.
+		 * All methods support probability option. Values out of bounds are repaired using repair option (see EvolutionaryAlgorithm.repairValue).
+		 *
+		 * @param   array   groups   Array of groups.
+		 * @param   string  method   Method to use.
+		 * @param   object  options  Options.
+		 *
+		 * @return  array            Created children.
+		 */
+		crossover: function(groups, method, options)
+		{
+			if(!groups || groups.length === 0)
+				return [];
+
+			options = options || {};
+
+			var groups_length = groups.length;
+			var children      = [];
+
+			var algorithm = this.algorithm;
+			var random    = algorithm.random;
+			var crossover_function;
+			var recombine;	// function that recombines values of two parents to values of children
+
+			if(algorithm.number_coding == 'PERMUTATION' && ['pmx', 'order', 'cycle', 'edge_recombination'].indexOf(method) == -1)
+				throw new Error('Crossover ' + method + ' can not be used with PERMUTATION coding.');
+
+			if(algorithm.binary && ['mean', 'blx_alpha', 'sbx', 'arithmetic', 'heuristic', 'pmx', 'order', 'cycle', 'edge_recombination'].indexOf(method) != -1)
+				throw new Error('Crossover ' + method + ' can not be used with BINARY variables.');
+
+			if(algorithm.tree != (method == 'subtree'))
+				throw new Error('Crossover ' + method + ' can not be used ' + ((algorithm.tree) ? 'with' : 'without') + ' TREE variables.');
+
+			switch(method)
+			{
+				case 'subtree':
+					var function_probability = (options.function_probability === undefined) ? 0.9 : options.function_probability;
+
+					crossover_function = function(items)
+					{
+						var size = items.length;
+
+						if(size == 0)
+							return [];
+
+						if(size == 1)
+							return items[0];
+
+						var probability = options.probability || 1;
+
+						if(probability < 1 && random() > probability)
+							return items;
+
+						var names = Object.keys(items[0].genotype);
+						var g1    = items[0].genotype;
+						var g2    = items[1].genotype;
+						var v1    = [];
+						var v2    = [];
+
+						names.forEach(function(variable)
+						{
+							var variable_schema = algorithm.getVariableSchema(variable);
+
+							if(variable_schema.type != 'TREE')
+							{
+								v1.push(g1[variable]);
+								v2.push(g2[variable]);
+								return;
+							}
+
+							// swap random subtrees
+							var n1 = chooseTreeNode(g1[variable], function_probability, random);
+							var n2 = chooseTreeNode(g2[variable], function_probability, random);
+							var t1 = replaceSubtree(g1[variable], n1.path, n2.node);
+							var t2 = replaceSubtree(g2[variable], n2.path, n1.node);
+
+							v1.push((getTreeDepth(t1) <= variable_schema.depthLimit) ? t1 : g1[variable]);
+							v2.push((getTreeDepth(t2) <= variable_schema.depthLimit) ? t2 : g2[variable]);
+						});
+
+						return [v1, v2].map(function(values)
+						{
+							var child = algorithm.createUnevaluated(function()
+							{
+								return new EvolutionaryAlgorithmIndividual(names, function(individual, v, k) { return values[k]; }, algorithm);
+							});
+
+							return evaluateChild(algorithm, child, items);
+						});
+					};
+					break;
+				default:
+				case 'one_point':
+				case 'cut_and_splice':
+					var different_points = (options.different_points || method == 'cut_and_splice') && !algorithm.binary;
+
+					crossover_function = function(items)
+					{
+						var size = items.length;
+
+						if(size == 0)
+							return [];
+
+						if(size == 1)
+							return items[0];
+
+						var probability = options.probability || 1;
+
+						if(probability != 1 && random() > probability)
+							return items;
+
+						// get genotype from parents, bit strings are cut at bit level
+						var p1 = items[0].toGenotypeArray(true);
+						var p2 = items[1].toGenotypeArray(true);
+						var index1, index2;
+
+						// compute cut indexes
+						if(different_points)
+						{
+							var cut = getCutAndSplicePoints(p1.length, p2.length, algorithm, random);
+
+							if(!cut)
+								return items;
+
+							index1 = cut[0];
+							index2 = cut[1];
+						}
+						else
+						{
+							var length = Math.min(p1.length, p2.length);
+
+							if(length < 2)
+								return items;
+
+							index1 = index2 = Math.floor(random() * (length - 1)) + 1;
+						}
+
+						// crossover
+						var v1 = p1.slice(0, index1).concat(p2.slice(index2));
+						var v2 = p2.slice(0, index2).concat(p1.slice(index1));
+
+						var ret = [];
+
+						// create new childrens
+						if(v1.length > 0)
+							ret.push(createChild(algorithm, v1, undefined, items));
+
+						if(v2.length > 0)
+							ret.push(createChild(algorithm, v2, undefined, items));
+
+						return ret;
+					}
+					break;
+				case 'homologous':
+					recombine = function(p1, p2)
+					{
+						// segment on the same positions of both parents is swapped, so lengths of parents are kept
+						var segment = getRandomSegment(Math.min(p1.length, p2.length), random);
+
+						var v1 = p1.slice(0, segment[0]).concat(p2.slice(segment[0], segment[1]), p1.slice(segment[1]));
+						var v2 = p2.slice(0, segment[0]).concat(p1.slice(segment[0], segment[1]), p2.slice(segment[1]));
+
+						return [v1, v2];
+					};
+					break;
+				case 'mean':
+					crossover_function = function(items)
+					{
+						var size = items.length;
+
+						if(size == 0)
+							return [];
+
+						var probability = options.probability || 1;
+
+						if(probability < 1 && random() > probability)
+							return items[0];
+
+						if(size == 1)
+							return items[0];
+
+						// get genotype from parents
+						var p1 = items[0].toGenotypeArray();
+						var p2 = items[1].toGenotypeArray();
+
+						var ch = [];
+
+						var min_individual_length = Math.min(p1.length, p2.length);
+						var ch_keys               = getVariableNames(algorithm, min_individual_length);
+
+						for(var i=0; i<min_individual_length; i++)
+						{
+							// mean of boolean values is randomly chosen parent value
+							if(algorithm.getVariableSchema(ch_keys[i]).type == 'BOOL')
+								ch[i] = (random() < 0.5) ? p1[i] : p2[i];
+							else
+								ch[i] = algorithm.repairValue(ch_keys[i], (p1[i] + p2[i]) / 2);
+						}
+
+						return createChild(algorithm, ch, undefined, items);
+					}
+					break;
+				case 'two_point':
+				case 'k_point':
+					var points = (method == 'two_point') ? 2 : (options.points || 2);
+
+					recombine = function(p1, p2)
+					{
+						var length = Math.min(p1.length, p2.length);
+						var cuts   = [];
+
+						// choose distinct cut points
+						var positions = Array.apply(null, new Array(Math.max(0, length - 1))).map(function (_, i) { return i + 1; });
+
+						for(var c=0; c<points && positions.length > 0; c++)
+							cuts.push(positions.splice(Math.floor(random() * positions.length), 1)[0]);
+
+						cuts.sort(function(a, b) { return a - b; });
+
+						var v1 = p1.slice(0);
+						var v2 = p2.slice(0);
+						var swap = false;
+
+						for(var i=0, cut=0; i<length; i++)
+						{
+							if(cut < cuts.length && i == cuts[cut])
+							{
+								swap = !swap;
+								cut++;
+							}
+
+							if(swap)
+							{
+								v1[i] = p2[i];
+								v2[i] = p1[i];
+							}
+						}
+
+						return [v1, v2];
+					};
+					break;
+				case 'uniform':
+					var swap_probability = (options.swap_probability === undefined) ? 0.5 : options.swap_probability;
+
+					recombine = function(p1, p2)
+					{
+						var v1 = p1.slice(0);
+						var v2 = p2.slice(0);
+
+						for(var i=0, length=Math.min(p1.length, p2.length); i<length; i++)
+						{
+							if(random() < swap_probability)
+							{
+								v1[i] = p2[i];
+								v2[i] = p1[i];
+							}
+						}
+
+						return [v1, v2];
+					};
+					break;
+				case 'blx_alpha':
+					var alpha = (options.alpha === undefined) ? 0.5 : options.alpha;
+
+					recombine = function(p1, p2)
+					{
+						var v1 = [];
+						var v2 = [];
+
+						for(var i=0, length=Math.min(p1.length, p2.length); i<length; i++)
+						{
+							var min   = Math.min(p1[i], p2[i]);
+							var range = Math.abs(p1[i] - p2[i]);
+
+							// children are chosen from interval extended by alpha * range on both sides
+							v1[i] = min - alpha * range + random() * range * (1 + 2 * alpha);
+							v2[i] = min - alpha * range + random() * range * (1 + 2 * alpha);
+						}
+
+						return [v1, v2];
+					};
+					break;
+				case 'sbx':
+					var eta = (options.eta === undefined) ? 2 : options.eta;
+
+					recombine = function(p1, p2)
+					{
+						var v1 = [];
+						var v2 = [];
+
+						for(var i=0, length=Math.min(p1.length, p2.length); i<length; i++)
+						{
+							var u    = random();
+							var beta = (u <= 0.5) ? Math.pow(2 * u, 1 / (eta + 1)) : Math.pow(1 / (2 * (1 - u)), 1 / (eta + 1));
+
+							v1[i] = 0.5 * ((1 + beta) * p1[i] + (1 - beta) * p2[i]);
+							v2[i] = 0.5 * ((1 - beta) * p1[i] + (1 + beta) * p2[i]);
+						}
+
+						return [v1, v2];
+					};
+					break;
+				case 'arithmetic':
+					recombine = function(p1, p2)
+					{
+						var weight = (options.alpha === undefined) ? random() : options.alpha;
+						var v1     = [];
+						var v2     = [];
+
+						for(var i=0, length=Math.min(p1.length, p2.length); i<length; i++)
+						{
+							v1[i] = weight * p1[i] + (1 - weight) * p2[i];
+							v2[i] = (1 - weight) * p1[i] + weight * p2[i];
+						}
+
+						return [v1, v2];
+					};
+					break;
+				case 'pmx':
+					recombine = function(p1, p2)
+					{
+						var segment = getRandomSegment(Math.min(p1.length, p2.length), random);
+
+						return [getPartiallyMappedChild(p1, p2, segment[0], segment[1]), getPartiallyMappedChild(p2, p1, segment[0], segment[1])];
+					};
+					break;
+				case 'order':
+					recombine = function(p1, p2)
+					{
+						var segment = getRandomSegment(Math.min(p1.length, p2.length), random);
+
+						return [getOrderChild(p1, p2, segment[0], segment[1]), getOrderChild(p2, p1, segment[0], segment[1])];
+					};
+					break;
+				case 'cycle':
+					recombine = function(p1, p2)
+					{
+						return getCycleChildren(p1, p2);
+					};
+					break;
+				case 'edge_recombination':
+					recombine = function(p1, p2)
+					{
+						return [getEdgeRecombinationChild(p1, p2, random), getEdgeRecombinationChild(p2, p1, random)];
+					};
+					break;
+				case 'heuristic':
+					recombine = function(p1, p2, items)
+					{
+						// child is created in direction from worse parent to better one
+						if(algorithm.compare(items[0], items[1]) > 0)
+						{
+							var temp = p1;
+							p1 = p2;
+							p2 = temp;
+						}
+
+						var ratio = random();
+						var v     = [];
+
+						for(var i=0, length=Math.min(p1.length, p2.length); i<length; i++)
+							v[i] = p1[i] + ratio * (p1[i] - p2[i]);
+
+						return [v];
+					};
+					break;
+			}
+
+			if(recombine)
+			{
+				crossover_function = function(items)
+				{
+					var size = items.length;
+
+					if(size == 0)
+						return [];
+
+					if(size == 1)
+						return items[0];
+
+					var probability = options.probability || 1;
+
+					if(probability < 1 && random() > probability)
+						return items;
+
+					// create children from recombined genotype, which is repaired to stay in bounds of variables
+					return recombine(items[0].toGenotypeArray(true), items[1].toGenotypeArray(true), items).map(function(genes)
+					{
+						return createChild(algorithm, genes, options.repair, items);
+					});
+				};
+			}
+
+			// cross all groups and create children
+			for(var i=0; i<groups_length; i++)
+			{
+				var group_children = [].concat(crossover_function(groups[i]));
+
+				addLineage(this, group_children, groups[i]);
+
+				children = children.concat(group_children);
+			}
+
+			return children;
+		},
+
+		/**
+		 * Method to meke mutation
+		 *
+		 * Value mutations: uniform_mutation (max_percent_change), extremal_mutation, gaussian_mutation (sigma or relative_sigma),
+		 * polynomial_mutation (eta_m), non_uniform_mutation (max_generations, b), cauchy_mutation (scale or relative_scale).
+		 * Each value is mutated with given probability and values out of bounds are repaired using repair option ('clamp', 'reflect', 'resample').
+		 * Sigma of gaussian_mutation can be adapted by 1/5th success rule (one_fifth_rule, factor, period), which changes step size of population.
+		 * Self-adaptive mutation (self_adaptive_mutation) mutates all INT and REAL values by step sizes stored in individual (strategy.sigma),
+		 * which are mutated log-normally first (tau, tau_prime, relative_sigma for initial step size, min_sigma).
+		 * BINARY variables are mutated only by bit_flip_mutation (probability of flipping each bit), which also flips BOOL variables.
+		 * TREE variables are mutated only by tree mutations: point_mutation (probability of replacing each node by node with the same arity),
+		 * subtree_mutation (max_depth of new subtree) and hoist_mutation (tree is replaced by its random subtree).
+		 * Other mutations: shrink_mutation (max_shrink_size), growth_mutation (max_growth_size), swap_mutation (max_swap_size),
+		 * replace_mutation (max_replace_size, max_insert_size), which keep length of individual in its bounds
+		 * and repair moved values to type and bounds of their new variables (repair option),
+		 * and mutations that keep permutations valid: swap_mutation, inversion_mutation, insertion_mutation, scramble_mutation.
+		 *
+		 * @param   array   parents  Individuals to mutate.
+		 * @param   string  method   Method to use.
+		 * @param   object  options  Options.
+		 *
+		 * @return  array            Mutated individuals
+		 */
+		mutation: function(parents, method, options)
+		{
+			if(!parents || parents.length === 0)
+				return [];
+
+			options = options || {};
+
+			var algorithm = this.algorithm;
+			var random    = algorithm.random;
+
+			var parents_length = parents.length;
+			var children       = new Array(parents_length);
+
+			var getVariables;	// function to get new variables for children
+			var generateFunction;
+
+			var f;
+			var current_individual_data;
+
+			if(algorithm.number_coding == 'PERMUTATION' && ['swap_mutation', 'inversion_mutation', 'insertion_mutation', 'scramble_mutation'].indexOf(method) == -1)
+				throw new Error('Mutation ' + method + ' can not be used with PERMUTATION coding.');
+
+			var tree_mutations = ['point_mutation', 'subtree_mutation', 'hoist_mutation'];
+
+			if(tree_mutations.indexOf(method) != -1 && !algorithm.tree)
+				throw new Error('Mutation ' + method + ' can be used only with TREE variables.');
+
+			if(algorithm.tree && ['shrink_mutation', 'growth_mutation', 'swap_mutation', 'inversion_mutation', 'insertion_mutation', 'scramble_mutation', 'replace_mutation'].indexOf(method) != -1)
+				throw new Error('Mutation ' + method + ' can not be used with TREE variables.');
+
+			var current_strategy;
+
+			switch(method)
+			{
+				case 'point_mutation':
+				case 'subtree_mutation':
+				case 'hoist_mutation':
+					var max_depth = options.max_depth || 4;
+
+					getVariables = function(i)
+					{
+						current_individual_data = parents[i].genotype;
+
+						return Object.keys(current_individual_data);
+					};
+
+					generateFunction = function(individual, variable)
+					{
+						var cur_value       = current_individual_data[variable];
+						var variable_schema = algorithm.getVariableSchema(variable);
+
+						if(variable_schema.type != 'TREE')
+							return cur_value;
+
+						if(method == 'point_mutation')
+						{
+							// each node is replaced with given probability, one node on average by default
+							var node_probability = options.probability || 1 / getTreeNodes(cur_value).length;
+
+							var mutate = function(node)
+							{
+								if(Object.prototype.toString.call(node) !== '[object Array]')
+									return (random() < node_probability) ? algorithm.generateTerminal(variable) : node;
+
+								var copy = node.slice(0, 1).concat(node.slice(1).map(mutate));
+
+								if(random() < node_probability)
+								{
+									var arity = node.length - 1;
+									var names = Object.keys(variable_schema.functions).filter(function(name) { return variable_schema.functions[name].arity == arity; });
+
+									copy[0] = names[Math.floor(random() * names.length)];
+								}
+
+								return copy;
+							};
+
+							return mutate(cur_value);
+						}
+
+						var chosen = chooseTreeNode(cur_value, undefined, random);
+
+						if(method == 'hoist_mutation')
+							return chosen.node;
+
+						// replace random subtree by new one, tree deeper than limit is not changed
+						var mutated = replaceSubtree(cur_value, chosen.path, algorithm.generateTree(variable, max_depth, 'grow'));
+
+						return (getTreeDepth(mutated) <= variable_schema.depthLimit) ? mutated : cur_value;
+					};
+					break;
+				case 'self_adaptive_mutation':
+					var min_sigma = options.min_sigma || 1e-10;
+
+					getVariables = function(i)
+					{
+						var parent        = parents[i];
+						var variable_keys = Object.keys(parent.genotype);
+						var sigma         = (parent.strategy) ? parent.strategy.sigma : {};
+
+						var numeric = variable_keys.filter(function(variable)
+						{
+							var type = algorithm.getVariableSchema(variable).type;
+
+							return (type == 'INT' || type == 'REAL');
+						});
+
+						var n         = Math.max(1, numeric.length);
+						var tau       = options.tau || 1 / Math.sqrt(2 * Math.sqrt(n));
+						var tau_prime = options.tau_prime || 1 / Math.sqrt(2 * n);
+						var global    = tau_prime * algorithm.randomGaussian();
+
+						current_individual_data = parent.genotype;
+						current_strategy        = {sigma: {}};
+
+						// log-normal mutation of step sizes
+						numeric.forEach(function(variable)
+						{
+							var variable_schema = algorithm.getVariableSchema(variable);
+							var value           = (sigma[variable] === undefined) ? (variable_schema.max - variable_schema.min) * (options.relative_sigma || 0.1) : sigma[variable];
+
+							current_strategy.sigma[variable] = Math.max(min_sigma, value * Math.exp(global + tau * algorithm.randomGaussian()));
+						});
+
+						return variable_keys;
+					};
+
+					generateFunction = function(individual, variable)
+					{
+						var cur_value = current_individual_data[variable];
+
+						if(current_strategy.sigma[variable] === undefined)
+							return cur_value;
+
+						return algorithm.repairValue(variable, cur_value + current_strategy.sigma[variable] * algorithm.randomGaussian(), options.repair);
+					};
+					break;
+				case 'extremal_mutation':
+				case 'gaussian_mutation':
+				case 'polynomial_mutation':
+				case 'non_uniform_mutation':
+				case 'cauchy_mutation':
+				default:
+				case 'uniform_mutation':
+					f = getValueMutationFunction(method, options, this);
+
+					var probability = options.probability || 0.1;
+
+					getVariables = function(i)
+					{
+						current_individual_data = parents[i].genotype;
+						var variable_keys = Object.keys(current_individual_data);
+
+						return variable_keys;
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						var cur_value = current_individual_data[variable];
+
+						return (random() <= probability) ? f(cur_value, variable) : cur_value;
+					};
+					break;
+				case 'bit_flip_mutation':
+					var bit_probability = options.probability;
+
+					getVariables = function(i)
+					{
+						current_individual_data = parents[i].genotype;
+
+						// by default one bit of individual is flipped on average
+						if(options.probability === undefined)
+							bit_probability = 1 / Math.max(1, parents[i].toGenotypeArray(true).length);
+
+						return Object.keys(current_individual_data);
+					};
+
+					generateFunction = function(individual, variable)
+					{
+						var cur_value = current_individual_data[variable];
+
+						if(algorithm.getVariableSchema(variable).type == 'BINARY')
+							return cur_value.map(function(bit) { return (random() < bit_probability) ? 1 - bit : bit; });
+
+						if(typeof cur_value === 'boolean')
+							return (random() < bit_probability) ? !cur_value : cur_value;
+
+						return cur_value;
+					};
+					break;
+				case 'shrink_mutation':
+					var max_shrink_size  = options.max_shrink_size || 5;
+
+					getVariables = function(i)
+					{
+						var parent = parents[i];
+
+						var variable_keys    = Object.keys(parent.variables);
+						var variables_length = variable_keys.length;
+						var shrink_size      = Math.max(0, Math.min(Math.round(random() * max_shrink_size), variables_length - algorithm.min_individual_length));
+						var start_pos        = Math.floor(random() * (variables_length - shrink_size + 1));
+
+						current_individual_data = parent.toGenotypeArray();
+						current_individual_data.splice(start_pos, shrink_size);
+
+						return getVariableNames(algorithm, current_individual_data.length);
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						return getMovedValue(algorithm, variable, current_individual_data[k], options.repair);
+					};
+					break;
+				case 'growth_mutation':
+					var max_growth_size = options.max_growth_size || 5;
+
+					getVariables = function(i)
+					{
+						var parent = parents[i];
+
+						var variable_keys    = Object.keys(parent.variables);
+						var variables_length = variable_keys.length;
+						var pos              = Math.round(random() * variables_length); // position to insert
+						var growth_size      = Math.max(0, Math.min(Math.round(random() * max_growth_size), algorithm.max_individual_length - variables_length));
+
+						var names = getVariableNames(algorithm, variables_length + growth_size);
+
+						// inserted values follow coding and interval of their positions
+						var variables = Array.apply(null, new Array(growth_size)).map(function (_, k) {
+							return algorithm.generateValue(names[pos + k]);
+						});
+
+						current_individual_data = parent.toGenotypeArray();
+						variables.unshift(0);
+						variables.unshift(pos);
+						Array.prototype.splice.apply(current_individual_data, variables);
+
+						return getVariableNames(algorithm, current_individual_data.length);
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						return getMovedValue(algorithm, variable, current_individual_data[k], options.repair);
+					};
+					break;
+				case 'swap_mutation':
+					var max_swap_size = options.max_swap_size || 5;
+
+					getVariables = function(i)
+					{
+						var parent = parents[i];
+
+						var variable_keys    = Object.keys(parent.variables);
+						var variables_length = variable_keys.length;
+						var swap_size        = Math.round(random() * Math.min(max_swap_size, Math.floor(variables_length / 2)));
+						var pos1             = Math.round(random() * (variables_length - 2 * swap_size));
+						var pos2             = Math.round(random() * (variables_length - swap_size - pos1 - swap_size)) + pos1 + swap_size; // swapped blocks do not overlap
+
+						current_individual_data = parent.toGenotypeArray();
+						var data2 = current_individual_data.slice(pos2, pos2 + swap_size);
+						data2.unshift(swap_size);
+						data2.unshift(pos1);
+						var data1 = Array.prototype.splice.apply(current_individual_data, data2);
+						data1.unshift(swap_size);
+						data1.unshift(pos2);
+						Array.prototype.splice.apply(current_individual_data, data1);
+
+						return variable_keys;
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						return getMovedValue(algorithm, variable, current_individual_data[k], options.repair);
+					};
+					break;
+				case 'inversion_mutation':
+				case 'insertion_mutation':
+				case 'scramble_mutation':
+					getVariables = function(i)
+					{
+						var parent        = parents[i];
+						var variable_keys = Object.keys(parent.variables);
+						var segment       = getRandomSegment(variable_keys.length, random);
+
+						current_individual_data = parent.toGenotypeArray();
+
+						if(method == 'inversion_mutation')
+						{
+							// reverse order of values in segment
+							var reversed = current_individual_data.slice(segment[0], segment[1]).reverse();
+
+							reversed.unshift(segment[1] - segment[0]);
+							reversed.unshift(segment[0]);
+							Array.prototype.splice.apply(current_individual_data, reversed);
+						}
+						else if(method == 'insertion_mutation')
+						{
+							// move value from one position to another
+							var from  = (random() < 0.5) ? segment[0] : segment[1] - 1;
+							var to    = (from == segment[0]) ? segment[1] - 1 : segment[0];
+							var value = current_individual_data.splice(from, 1)[0];
+
+							current_individual_data.splice(to, 0, value);
+						}
+						else
+						{
+							// shuffle values in segment
+							for(var a=segment[1]-1; a>segment[0]; a--)
+							{
+								var b    = segment[0] + Math.floor(random() * (a - segment[0] + 1));
+								var temp = current_individual_data[a];
+
+								current_individual_data[a] = current_individual_data[b];
+								current_individual_data[b] = temp;
+							}
+						}
+
+						return variable_keys;
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						return getMovedValue(algorithm, variable, current_individual_data[k], options.repair);
+					};
+					break;
+				case 'replace_mutation':
+					var max_replace_size = options.max_replace_size || 5;
+					var max_insert_size  = options.max_insert_size || 5;
+
+					max_replace_size++;
+					max_insert_size++;
+
+					getVariables = function(i)
+					{
+						var parent = parents[i];
+
+						var variable_keys    = Object.keys(parent.variables);
+						var variables_length = variable_keys.length;
+						var start_pos        = Math.floor(random() * variables_length);
+						var replace_size     = Math.min(Math.floor(random() * max_replace_size), variables_length - start_pos);
+						var kept_length      = variables_length - replace_size;
+
+						// number of inserted values keeps length in bounds
+						var insert_size = Math.max(algorithm.min_individual_length - kept_length, Math.min(Math.floor(random() * max_insert_size), algorithm.max_individual_length - kept_length));
+
+						var names = getVariableNames(algorithm, kept_length + insert_size);
+
+						var variables = Array.apply(null, new Array(insert_size)).map(function (_, k) {
+							return algorithm.generateValue(names[start_pos + k]);
+						});
+
+						current_individual_data = parent.toGenotypeArray();
+						variables.unshift(replace_size);
+						variables.unshift(start_pos);
+						Array.prototype.splice.apply(current_individual_data, variables);
+
+						return getVariableNames(algorithm, current_individual_data.length);
+					};
+
+					generateFunction = function(individual, variable, k)
+					{
+						return getMovedValue(algorithm, variable, current_individual_data[k], options.repair);
+					};
+					break;
+			}
+
+			// mutate all parents and create children, parent without variables is kept unchanged
+			for(var i=0; i<parents_length; i++)
+			{
+				var variables = getVariables(i);
+
+				if(variables.length > 0)
+				{
+					var child = algorithm.createUnevaluated(function() { return new EvolutionaryAlgorithmIndividual(variables, generateFunction, algorithm); });
+
+					if(current_strategy)
+						child.strategy = current_strategy;
+
+					children[i] = evaluateChild(algorithm, child, [parents[i]]);
+
+					addLineage(this, [children[i]], [parents[i]]);
+				}
+				else
+					children[i] = parents[i];
+			}
+
+			// remember mutations for 1/5th success rule, success is counted after children are evaluated
+			if(method == 'gaussian_mutation' && options.one_fifth_rule)
+			{
+				if(!this.step_adaptation)
+					this.step_adaptation = {generations: 0, successes: 0, count: 0, trials: []};
+
+				this.step_adaptation.factor = options.factor || 0.817;
+				this.step_adaptation.period = options.period || 1;
+
+				for(i=0; i<parents_length; i++)
+					this.step_adaptation.trials.push({parent: parents[i], child: children[i]});
+			}
+
+			return children;
+		},
+
+		/**
+		 * Apply chain of genetic operators to parents.
+		 *
+		 * Each operator is given as method name or as object {crossover|mutation, options, probability, groups, groupMethod, groupSize}.
+		 * Operator is applied to each group (crossover) or individual (mutation) with given probability, others are passed to next operator unchanged.
+		 * Parent groups for crossover are created automatically.
+		 *
+		 * @param   array  parents    Selected parents.
+		 * @param   mixed  operators  Operator or array of operators applied in given order.
+		 *
+		 * @return  array             Created children.
+		 */
+		applyGeneticOperators: function(parents, operators)
+		{
+			if(!parents || parents.length === 0)
+				return [];
+
+			if(!operators)
+				return parents.slice(0);
+
+			if(Object.prototype.toString.call(operators) !== '[object Array]')
+				operators = [operators];
+
+			// only parents of children of this chain are remembered
+			this.lineage = {children: [], parents: []};
+
+			var random   = this.algorithm.random;
+			var children = parents;
+
+			for(var o=0, operators_length=operators.length; o<operators_length; o++)
+			{
+				var operator = getOperatorSpec(operators[o]);
+				var passed   = [];
+				var i, len;
+
+				if(operator.type == 'crossover')
+				{
+					var groups  = this.getParentGroups(children, operator.groups || Math.ceil(children.length / 2), operator.groupMethod, operator.groupSize);
+					var crossed = [];
+
+					for(i=0, len=groups.length; i<len; i++)
+					{
+						if(operator.probability >= 1 || random() < operator.probability)
+							crossed.push(groups[i]);
+						else
+							passed = passed.concat(groups[i]);
+					}
+
+					children = this.crossover(crossed, operator.method, operator.options).concat(passed);
+				}
+				else
+				{
+					var indexes = [];
+					var mutated = [];
+
+					for(i=0, len=children.length; i<len; i++)
+					{
+						if(operator.probability >= 1 || random() < operator.probability)
+						{
+							indexes.push(i);
+							mutated.push(children[i]);
+						}
+					}
+
+					// keep order of individuals
+					mutated  = this.mutation(mutated, operator.method, operator.options);
+					children = children.slice(0);
+
+					for(i=0, len=indexes.length; i<len; i++)
+						children[indexes[i]] = mutated[i];
+				}
+			}
+
+			return children;
+		},
+
+		/**
+		 * Asynchronous variant of crossover. Fitness of children is evaluated by EvolutionaryAlgorithm.evaluateAsync.
+		 *
+		 * @param   array   groups   Array of groups.
+		 * @param   string  method   Method to use.
+		 * @param   object  options  Options.
+		 *
+		 * @return  Promise          Promise resolved with created children.
+		 */
+		crossoverAsync: function(groups, method, options)
+		{
+			var population = this;
+			var children   = this.algorithm.createUnevaluated(function() { return population.crossover(groups, method, options); });
+
+			return this.algorithm.evaluateAsync(children);
+		},
+
+		/**
+		 * Asynchronous variant of mutation. Fitness of children is evaluated by EvolutionaryAlgorithm.evaluateAsync.
+		 *
+		 * @param   array   parents  Individuals to mutate.
+		 * @param   string  method   Method to use.
+		 * @param   object  options  Options.
+		 *
+		 * @return  Promise          Promise resolved with mutated individuals.
+		 */
+		mutationAsync: function(parents, method, options)
+		{
+			var population = this;
+			var children   = this.algorithm.createUnevaluated(function() { return population.mutation(parents, method, options); });
+
+			return this.algorithm.evaluateAsync(children);
+		},
+
+		/**
+		 * Asynchronous variant of applyGeneticOperators. Fitness of children is evaluated after all operators are applied.
+		 *
+		 * @param   array  parents    Selected parents.
+		 * @param   mixed  operators  Operator or array of operators applied in given order.
+		 *
+		 * @return  Promise           Promise resolved with created children.
+		 */
+		applyGeneticOperatorsAsync: function(parents, operators)
+		{
+			var population = this;
+			var children   = this.algorithm.createUnevaluated(function() { return population.applyGeneticOperators(parents, operators); });
+
+			return this.algorithm.evaluateAsync(children);
+		},
+
+		/**
+		 * Method to replace individuals in curent population with new ones
+		 *
+		 * Supported methods: generational, comma_strategy (newGenerationSize), separate_competition (generationGap),
+		 * plus_strategy (newGenerationSize), nsga2 (newGenerationSize) which selects from current population and children by fronts and crowding distance.
+		 * Niching methods: deterministic_crowding and probabilistic_crowding, where every child competes with the nearest parent,
+		 * and restricted_tournament (windowSize), where child competes with the nearest of randomly chosen individuals.
+		 * Steady-state method steady_state inserts every child to current population in place of individual chosen by deletion option:
+		 * worst (default), oldest, random, parent (the most similar of parents of child) or inverse_tournament (tournamentSize).
+		 * With conditional option child replaces chosen individual only when it is better.
+		 * Every method accepts elitism option, number (or fraction of population size, at least one) of best individuals from current population,
+		 * which replace the worst individuals of new generation. Size of new generation is not changed.
+		 * Age of individuals of current population is increased by every replacement, children have age 0. With maxAge option
+		 * individuals older than maxAge are replaced by the best of unused children (as long as there are any) and they are not elites.
+		 * With migration option children are immigrants from other population, so individuals are not older
+		 * and generation, step size and adaptive penalty are not changed.
+		 *
+		 * @param   array   parents   Selected parents from curent population.
+		 * @param   array   children  Generated children from genetic operators.
+		 * @param   string  method    Method to use.
+		 * @param   object  options   Options for some methods.
+		 *
+		 * @return  void
+		 */
+		replacement: function(parents, children, method, options)
+		{
+			var algorithm          = this.algorithm;
+			var individuals_length = this.individuals.length;
+			var migration          = (options && options.migration) || false;
+			var newGenerationSize;
+
+			// current individuals are older by one generation, ages are read first, because individual can be in population more times
+			if(!migration)
+			{
+				var ages = this.individuals.map(function(individual) { return individual.age || 0; });
+
+				this.individuals.forEach(function(individual, i) { individual.age = ages[i] + 1; });
+			}
+
+			var max_age = (options && options.maxAge) || Infinity;
+
+			// best individuals of current population survive to new generation
+			var elitism = (options && options.elitism) || 0;
+
+			if(elitism > 0 && elitism < 1)
+				elitism = Math.max(1, Math.round(elitism * individuals_length));
+
+			var elites = [];
+
+			if(elitism > 0)
+			{
+				var candidates = new Constructor(algorithm);
+				candidates.individuals = this.individuals.filter(function(individual) { return individual.age <= max_age; });
+
+				elites = candidates.getBestIndividuals(elitism);
+			}
+
+			switch(method)
+			{
+				case 'steady_state':
+					var deletion        = (options && options.deletion) || 'worst';
+					var conditional     = (options && options.conditional) || false;
+					var tournament_size = (options && options.tournamentSize) || 2;
+					var population      = this.individuals.slice(0);
+					var lineage         = this.lineage;
+
+					// children are inserted one by one, so later child can replace earlier one
+					children.forEach(function(child)
+					{
+						var index = getDeletedIndex(population, child, getParentsOfChild(lineage, child) || [], deletion, tournament_size, algorithm);
+
+						if(index == -1 || (conditional && algorithm.compare(child, population[index]) >= 0))
+							return;
+
+						population[index] = child;
+					});
+
+					this.individuals = population;
+					break;
+				case 'comma_strategy':
+					newGenerationSize = (options && options.newGenerationSize) || individuals_length;
+
+					// sort children by fitness
+					sortIndividuals(children, algorithm);
+
+					this.individuals = children.slice(0, newGenerationSize);
+					break;
+				case 'separate_competition':
+					var generationGap = (options && options.generationGap) || 0;
+					var num_parents = individuals_length - generationGap;
+
+					// sort parents by fitness
+					sortIndividuals(parents, algorithm);
+
+					parents = parents.slice(0, num_parents);
+
+					// sort children by fitness
+					sortIndividuals(children, algorithm);
+
+					this.individuals = parents.concat(children.slice(0, generationGap));
+					break;
+				case 'plus_strategy':
+					newGenerationSize = (options && options.newGenerationSize) || individuals_length;
+					var plus = parents.concat(children);
+
+					// sort parents and children by fitness
+					sortIndividuals(plus, algorithm);
+
+					this.individuals = plus.slice(0, newGenerationSize);
+					break;
+				case 'deterministic_crowding':
+				case 'probabilistic_crowding':
+					this.individuals = getCrowdingReplacement(this, parents, children, method == 'probabilistic_crowding');
+					break;
+				case 'restricted_tournament':
+					var windowSize = Math.min((options && options.windowSize) || 4, individuals_length);
+					var random     = algorithm.random;
+					var current    = this.individuals.slice(0);
+
+					// child replaces the nearest of randomly chosen individuals, when it is better
+					children.forEach(function(child)
+					{
+						var nearest  = -1;
+						var distance = Infinity;
+
+						for(var w=0; w<windowSize; w++)
+						{
+							var index = Math.floor(random() * current.length);
+							var d     = algorithm.getDistance(child, current[index]);
+
+							if(d < distance)
+							{
+								nearest  = index;
+								distance = d;
+							}
+						}
+
+						if(nearest != -1 && algorithm.compare(child, current[nearest]) < 0)
+							current[nearest] = child;
+					});
+
+					this.individuals = current;
+					break;
+				case 'nsga2':
+					newGenerationSize = (options && options.newGenerationSize) || individuals_length;
+
+					// current population and children are sorted to fronts
+					var combined = this.individuals.concat(children);
+					var fronts   = getNonDominatedFronts(combined, algorithm);
+					var next     = [];
+
+					for(var f=0, fronts_length=fronts.length; f<fronts_length && next.length < newGenerationSize; f++)
+					{
+						var front = fronts[f];
+
+						setCrowdingDistance(front, algorithm);
+
+						// last front which does not fit is truncated by crowding distance
+						if(next.length + front.length > newGenerationSize)
+							front = front.slice(0).sort(crowdedCompare).slice(0, newGenerationSize - next.length);
+
+						next = next.concat(front);
+					}
+
+					this.individuals = next;
+					break;
+				default:
+				case 'generational':
+					this.individuals = children;
+			}
+
+			if(max_age < Infinity)
+			{
+				var next = this.individuals;
+
+				// unused children sorted from the best one replace too old individuals
+				var unused = children.filter(function(child) { return next.indexOf(child) == -1 && child.age <= max_age; });
+
+				sortIndividuals(unused, algorithm);
+
+				this.individuals = next.map(function(individual)
+				{
+					return (individual.age > max_age && unused.length > 0) ? unused.shift() : individual;
+				});
+			}
+
+			if(elites.length > 0)
+			{
+				var size = this.individuals.length;
+
+				elites = elites.slice(0, size);
+
+				// elites take places of the worst individuals, only one copy of elite already in new generation is removed
+				var others = new Constructor(algorithm);
+				others.individuals = this.individuals.slice(0);
+
+				elites.forEach(function(elite)
+				{
+					var index = others.individuals.indexOf(elite);
+
+					if(index != -1)
+						others.individuals.splice(index, 1);
+				});
+
+				this.individuals = elites.concat(others.getBestIndividuals(size - elites.length));
+			}
+
+			// parents of children are not needed anymore
+			this.lineage = {children: [], parents: []};
+
+			if(migration)
+				return;
+
+			updateStepSize(this);
+
+			this.generation++;
+
+			if(algorithm.constraint_handling == 'adaptive')
+				algorithm.updatePenalty(this);
+		},
+
+		/**
+		 * Get data of population, that can be serialized to JSON. State of random number generator
+		 * and adaptive penalty are included.
+		 *
+		 * @return  object  (generation, individuals, fitness_window, step_size, step_adaptation, random, penalty, penalty_history)
+		 */
+		toJSON: function()
+		{
+			var algorithm  = this.algorithm;
+			var adaptation = this.step_adaptation;
+
+			var data = {
+				generation:      this.generation,
+				individuals:     this.individuals.map(function(individual) { return individual.toJSON(); }),
+				fitness_window:  this.fitness_window,
+				step_size:       this.step_size,
+				penalty:         this.penalty,
+				penalty_history: this.penalty_history
+			};
+
+			// state of current period of 1/5th success rule, mutations are counted at replacement, so they are not included
+			if(adaptation)
+			{
+				data.step_adaptation = {
+					generations: adaptation.generations,
+					successes:   adaptation.successes,
+					count:       adaptation.count,
+					factor:      adaptation.factor,
+					period:      adaptation.period
+				};
+			}
+
+			// custom generators may not support export of state
+			if(Object.prototype.toString.call(algorithm.generator.getState) === '[object Function]')
+				data.random = algorithm.getRandomState();
+
+			return data;
+		}
+	};
+
+	/**
+	 * Restore population from data returned by toJSON. Algorithm must have the same variables and it gets
+	 * state of random number generator and adaptive penalty from data. Fitness is not evaluated again.
+	 *
+	 * @param   object  data       Data of population.
+	 * @param   object  algorithm  Algorithm that creates population.
+	 *
+	 * @return  object             Population.
+	 */
+	Constructor.fromJSON = function(data, algorithm)
+	{
+		var population = new Constructor(algorithm);
+
+		population.generation      = data.generation || 0;
+		population.fitness_window  = data.fitness_window || [];
+		population.step_size       = data.step_size || 1;
+		population.penalty_history = data.penalty_history || [];
+		population.individuals     = data.individuals.map(function(individual)
+		{
+			return EvolutionaryAlgorithmIndividual.fromJSON(individual, algorithm);
+		});
+
+		if(data.step_adaptation)
+		{
+			var adaptation = data.step_adaptation;
+
+			population.step_adaptation = {
+				generations: adaptation.generations,
+				successes:   adaptation.successes,
+				count:       adaptation.count,
+				factor:      adaptation.factor,
+				period:      adaptation.period,
+				trials:      []
+			};
+		}
+
+		if(data.penalty !== undefined)
+			population.penalty = algorithm.penalty = data.penalty;
+
+		if(data.random)
+			algorithm.setRandomState(data.random);
+
+		return population;
+	};
+
+	return Constructor;
+}());
+
+/**
+ * Recorder of statistics of every generation.
+ *
+ * Every record contains generation, evaluations (number of calls of fitness function since start of algorithm), fitness statistics
+ * (best, mean, median, worst, deviation), diversity of genotypes, selection pressure (best scaled fitness divided by mean one)
+ * and duration of selection, genetic operators and replacement in milliseconds. Multi-objective fitness gives statistics for every objective.
+ *
+ * @param  object  options  Options. (diversity: computing diversity can be turned off for large populations)
+ */
+var EvolutionaryAlgorithmStatistics = (function()
+{
+	var Constructor = function(options)
+	{
+		options = options || {};
+
+		this.diversity = (options.diversity === undefined) ? true : options.diversity;
+		this.history   = [];
+	};
+
+	/**
+	 * Get statistics of values.
+	 *
+	 * @param   array   values     Numbers.
+	 * @param   string  objective  Objective (max or min).
+	 *
+	 * @return  object             (best, mean, median, worst, deviation)
+	 */
+	function getValueStatistics(values, objective)
+	{
+		var length = values.length;
+
+		if(length === 0)
+			return {best: null, mean: null, median: null, worst: null, deviation: null};
+
+		var sorted = values.slice(0).sort(function(a, b) { return a - b; });
+		var mean   = values.reduce(function(a, b) { return a + b; }, 0) / length;
+		var middle = Math.floor(length / 2);
+
+		return {
+			best:      (objective == 'min') ? sorted[0] : sorted[length - 1],
+			mean:      mean,
+			median:    (length % 2) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+			worst:     (objective == 'min') ? sorted[length - 1] : sorted[0],
+			deviation: Math.sqrt(values.reduce(function(sum, value) { return sum + (value - mean) * (value - mean); }, 0) / length)
+		};
+	}
+
+	Constructor.prototype = {
+		constructor: Constructor,
+
+		/**
+		 * Record statistics of population.
+		 *
+		 * @param   object  population  Population of individuals.
+		 * @param   object  times       Duration of steps of generation. (selection, operators, replacement)
+		 *
+		 * @return  object              Record.
+		 */
+		record: function(population, times)
+		{
+			var algorithm   = population.algorithm;
+			var individuals = population.individuals.filter(function(individual) { return individual.fitness !== undefined; });
+			var fitness;
+
+			times = times || {};
+
+			if(algorithm.objectives)
+			{
+				var objectives = algorithm.objectives.map(function(objective, o)
+				{
+					return getValueStatistics(individuals.map(function(individual) { return individual.fitness[o]; }), objective);
+				});
+
+				// every statistic is array of values for objectives
+				fitness = {};
+
+				['best', 'mean', 'median', 'worst', 'deviation'].forEach(function(name)
+				{
+					fitness[name] = objectives.map(function(statistics) { return statistics[name]; });
+				});
+			}
+			else
+			{
+				fitness = getValueStatistics(individuals.map(function(individual) { return individual.fitness; }), algorithm.objective);
+
+				// best individual respects constraints of algorithm
+				var best = population.getBest();
+
+				if(best)
+					fitness.best = best.fitness;
+			}
+
+			// selection pressure from scaled fitness shifted to zero
+			var pressure = null;
+
+			if(individuals.length == population.individuals.length && individuals.length > 0)
+			{
+				var values = population.getScaledFitness();
+				var min    = Math.min.apply(null, values);
+				var mean   = values.reduce(function(a, b) { return a + b - min; }, 0) / values.length;
+
+				pressure = (mean > 0) ? (Math.max.apply(null, values) - min) / mean : 1;
+			}
+
+			var previous = this.history[this.history.length - 1];
+
+			var record = {
+				generation:        population.generation,
+				evaluations:       algorithm.evaluations,
+				newEvaluations:    algorithm.evaluations - ((previous) ? previous.evaluations : 0),
+				best:              fitness.best,
+				mean:              fitness.mean,
+				median:            fitness.median,
+				worst:             fitness.worst,
+				deviation:         fitness.deviation,
+				diversity:         (this.diversity) ? population.getDiversity() : null,
+				selectionPressure: pressure,
+				time: {
+					selection:   times.selection || 0,
+					operators:   times.operators || 0,
+					replacement: times.replacement || 0
+				}
+			};
+
+			this.history.push(record);
+
+			return record;
+		},
+
+		/**
+		 * Get all records.
+		 *
+		 * @return  array
+		 */
+		getHistory: function()
+		{
+			return this.history;
+		},
+
+		/**
+		 * Get last record.
+		 *
+		 * @return  object  Record or undefined, when nothing was recorded.
+		 */
+		getLast: function()
+		{
+			return this.history[this.history.length - 1];
+		},
+
+		/**
+		 * Check if best fitness changed less than tolerance during last window of generations.
+		 * Can be used for early stopping, e.g. in onGeneration callback.
+		 *
+		 * @param   object  options  Options. (window, tolerance, statistic: name of compared statistic, default is best)
+		 *
+		 * @return  boolean
+		 */
+		isConverged: function(options)
+		{
+			options = options || {};
+
+			var window    = options.window || 10;
+			var tolerance = (options.tolerance === undefined) ? 1e-6 : options.tolerance;
+			var statistic = options.statistic || 'best';
+			var history   = this.history;
+
+			if(history.length <= window)
+				return false;
+
+			var first = [].concat(history[history.length - window - 1][statistic]);
+
+			return history.slice(history.length - window).every(function(record)
+			{
+				return [].concat(record[statistic]).every(function(value, o)
+				{
+					return Math.abs(value - first[o]) <= tolerance;
+				});
+			});
+		},
+
+		/**
+		 * Get history, that can be serialized to JSON.
+		 *
+		 * @return  array
+		 */
+		toJSON: function()
+		{
+			return this.history;
+		},
+
+		/**
+		 * Export history as CSV with header. Statistics of multi-objective fitness have column for every objective.
+		 *
+		 * @param   string  separator  Separator of columns. Default is comma.
+		 *
+		 * @return  string
+		 */
+		toCSV: function(separator)
+		{
+			separator = separator || ',';
+
+			var fitness_columns = ['best', 'mean', 'median', 'worst', 'deviation'];
+			var first           = this.history[0];
+			var header          = ['generation', 'evaluations', 'new_evaluations'];
+
+			fitness_columns.forEach(function(name)
+			{
+				if(first && Object.prototype.toString.call(first[name]) === '[object Array]')
+				{
+					first[name].forEach(function(_, o)
+					{
+						header.push(name + '_' + (o + 1));
+					});
+				}
+				else
+					header.push(name);
+			});
+
+			header = header.concat(['diversity', 'selection_pressure', 'selection_time', 'operators_time', 'replacement_time']);
+
+			var value = function(value)
+			{
+				return (value === null || value === undefined) ? '' : String(value);
+			};
+
+			var rows = this.history.map(function(record)
+			{
+				var row = [record.generation, record.evaluations, record.newEvaluations];
+
+				fitness_columns.forEach(function(name)
+				{
+					row = row.concat(record[name]);
+				});
+
+				row = row.concat([record.diversity, record.selectionPressure, record.time.selection, record.time.operators, record.time.replacement]);
+
+				return row.map(value).join(separator);
+			});
+
+			return [header.join(separator)].concat(rows).join('\n');
+		},
+
+		/**
+		 * Remove all records.
+		 *
+		 * @return  void
+		 */
+		clear: function()
+		{
+			this.history = [];
+		}
+	};
+
+	return Constructor;
+}());
+
+/**
+ * Archive of the best individuals found across generations. Individuals with the same genotype are stored only once.
+ * For multi-objective fitness only non-dominated individuals are kept.
+ *
+ * @param  int  size  Maximal number of stored individuals.
+ */
+function EvolutionaryAlgorithmHallOfFame(size)
+{
+	this.size        = size || 10;
+	this.individuals = [];
+}
+
+EvolutionaryAlgorithmHallOfFame.prototype = {
+	constructor: EvolutionaryAlgorithmHallOfFame,
+
+	/**
+	 * Add individuals of population to archive, when they are better than stored ones.
+	 *
+	 * @param   object  population  Population of individuals.
+	 *
+	 * @return  void
+	 */
+	update: function(population)
+	{
+		var algorithm = population.algorithm;
+		var keys      = {};
+
+		var candidates = new EvolutionaryAlgorithmPopulation(algorithm);
+
+		// stored individuals are preferred over new ones with the same genotype
+		candidates.individuals = this.individuals.concat(population.individuals).filter(function(individual)
+		{
+			var key = algorithm.getGenotypeKey(individual);
+
+			if(individual.fitness === undefined || keys[key])
+				return false;
+
+			keys[key] = true;
+
+			return true;
+		});
+
+		if(algorithm.objectives)
+			candidates.individuals = candidates.getParetoFront();
+
+		this.individuals = candidates.getBestIndividuals(this.size);
+	},
+
+	/**
+	 * Get best stored individual.
+	 *
+	 * @return  object  Best individual or undefined for empty archive.
+	 */
+	getBest: function()
+	{
+		return this.individuals[0];
+	},
+
+	/**
+	 * Remove all stored individuals.
+	 *
+	 * @return  void
+	 */
+	clear: function()
+	{
+		this.individuals = [];
+	}
+};
+
+/**
+ * Cache of fitness values with limited size. Least recently used values are removed first.
+ * Values are stored in object by key and ordered in linked list from the least recently used one.
+ *
+ * @param  int  size  Maximal number of stored values.
+ */
+function EvolutionaryAlgorithmFitnessCache(size)
+{
+	this.size      = (size === undefined) ? 10000 : size;
+	this.items     = Object.create(null); // key => {key, value, previous, next}
+	this.count     = 0;
+	this.first     = null; // least recently used item
+	this.last      = null; // most recently used item
+	this.hits      = 0;
+	this.misses    = 0;
+	this.evictions = 0;
+}
+
+EvolutionaryAlgorithmFitnessCache.prototype = {
+	constructor: EvolutionaryAlgorithmFitnessCache,
+
+	/**
+	 * Get stored fitness.
+	 *
+	 * @param   string  key  Genotype key.
+	 *
+	 * @return  mixed        Fitness or undefined when it is not stored.
+	 */
+	get: function(key)
+	{
+		var item = this.items[key];
+
+		if(!item)
+		{
+			this.misses++;
+			return undefined;
+		}
+
+		// move to the end as most recently used
+		this.unlink(item);
+		this.append(item);
+
+		this.hits++;
+
+		return item.value;
+	},
+
+	/**
+	 * Store fitness.
+	 *
+	 * @param   string  key    Genotype key.
+	 * @param   mixed   value  Fitness.
+	 *
+	 * @return  void
+	 */
+	set: function(key, value)
+	{
+		var item = this.items[key];
+
+		if(item)
+			this.unlink(item);
+		else
+		{
+			item = this.items[key] = {key: key, value: value, previous: null, next: null};
+			this.count++;
+		}
+
+		item.value = value;
+		this.append(item);
+
+		// remove least recently used values
+		while(this.count > this.size)
+		{
+			var removed = this.first;
+
+			this.unlink(removed);
+			delete this.items[removed.key];
+			this.count--;
+			this.evictions++;
+		}
+	},
+
+	/**
+	 * Remove item from list of items.
+	 *
+	 * @param   object  item
+	 *
+	 * @return  void
+	 */
+	unlink: function(item)
+	{
+		if(item.previous)
+			item.previous.next = item.next;
+		else
+			this.first = item.next;
+
+		if(item.next)
+			item.next.previous = item.previous;
+		else
+			this.last = item.previous;
+
+		item.previous = item.next = null;
+	},
+
+	/**
+	 * Add item to the end of list of items.
+	 *
+	 * @param   object  item
+	 *
+	 * @return  void
+	 */
+	append: function(item)
+	{
+		item.previous = this.last;
+
+		if(this.last)
+			this.last.next = item;
+		else
+			this.first = item;
+
+		this.last = item;
+	},
+
+	/**
+	 * Remove all stored values and reset statistics.
+	 *
+	 * @return  void
+	 */
+	clear: function()
+	{
+		this.items     = Object.create(null);
+		this.count     = 0;
+		this.first     = null;
+		this.last      = null;
+		this.hits      = 0;
+		this.misses    = 0;
+		this.evictions = 0;
+	},
+
+	/**
+	 * Get statistics of cache.
+	 *
+	 * @return  object  (size, limit, hits, misses, evictions, hitRate)
+	 */
+	getStatistics: function()
+	{
+		var lookups = this.hits + this.misses;
+
+		return {
+			size:      this.count,
+			limit:     this.size,
+			hits:      this.hits,
+			misses:    this.misses,
+			evictions: this.evictions,
+			hitRate:   (lookups > 0) ? this.hits / lookups : 0
+		};
+	}
+};
+
+/**
+ * Pool of workers (worker_threads in Node, Web Workers in browser) that evaluates fitness in parallel.
+ * Workers run EvolutionaryAlgorithmWorker.js script and get variables and genotype of individuals. Algorithms with TREE variables can not use pool.
+ *
+ * Fitness function is loaded from module (Node module exporting function, or script defining global function in browser)
+ * or it is serialized from given function, which then can not use variables from outer scope.
+ *
+ * @param  object  options  Options. (module, exportName, fitnessFunction, size, chunkSize, timeout, retries, script)
+ */
+function EvolutionaryAlgorithmWorkerPool(options)
+{
+	options = options || {};
+
+	if(!options.module && Object.prototype.toString.call(options.fitnessFunction) !== '[object Function]')
+		throw new Error('Worker pool needs module or fitness function.');
+
+	this.is_node = (typeof process !== 'undefined' && process.versions && process.versions.node && typeof require === 'function');
+
+	// message that initializes fitness function in worker
+	this.init_message = {
+		type:       'init',
+		module:     options.module,
+		exportName: options.exportName || 'fitness',
+		source:     (options.module) ? null : options.fitnessFunction.toString()
+	};
+
+	var default_size = 4;
+
+	if(this.is_node)
+		default_size = require('os').cpus().length;
+	else if(typeof navigator !== 'undefined' && navigator.hardwareConcurrency)
+		default_size = navigator.hardwareConcurrency;
+
+	this.size       = options.size || default_size;
+	this.chunk_size = options.chunkSize || 0;
+	this.timeout    = options.timeout || 0;
+	this.retries    = (options.retries === undefined) ? 2 : options.retries;
+
+	if(options.script)
+		this.script = options.script;
+	else
+		this.script = (this.is_node) ? require('path').join(__dirname, 'EvolutionaryAlgorithmWorker.js') : 'EvolutionaryAlgorithmWorker.js';
+
+	this.workers = [];
+	this.queue   = [];
+	this.task_id = 0;
+}
+
+EvolutionaryAlgorithmWorkerPool.prototype = {
+	constructor: EvolutionaryAlgorithmWorkerPool,
+
+	/**
+	 * Get batch fitness function, which evaluates individuals in workers.
+	 *
+	 * @return  function  Function(individuals) that returns Promise resolved with array of fitness values.
+	 */
+	getFitnessFunction: function()
+	{
+		var pool = this;
+
+		return function(individuals)
+		{
+			return pool.evaluate(individuals);
+		};
+	},
+
+	/**
+	 * Evaluate individuals in workers.
+	 *
+	 * @param   array  individuals
+	 *
+	 * @return  Promise             Promise resolved with fitness values in order of individuals.
+	 */
+	evaluate: function(individuals)
+	{
+		var pool       = this;
+		var chunk_size = this.chunk_size || Math.max(1, Math.ceil(individuals.length / this.size));
+		var tasks      = [];
+
+		for(var i=0, len=individuals.length; i<len; i+=chunk_size)
+		{
+			tasks.push(new Promise(function(resolve, reject)
+			{
+				pool.queue.push({
+					id:          pool.task_id++,
+					individuals: individuals.slice(i, i + chunk_size).map(function(individual)
+					{
+						return {variables: individual.variables, genotype: individual.genotype};
+					}),
+					attempts:    0,
+					resolve:     resolve,
+					reject:      reject
+				});
+			}));
+		}
+
+		// rejection of any task is handled before tasks are dispatched
+		var result = Promise.all(tasks).then(function(results)
+		{
+			return [].concat.apply([], results);
+		});
+
+		this.dispatch();
+
+		return result;
+	},
+
+	/**
+	 * Send waiting tasks to idle workers.
+	 *
+	 * @return  void
+	 */
+	dispatch: function()
+	{
+		// start workers when needed
+		while(this.workers.length < this.size && this.workers.length < this.queue.length + this.getBusyCount())
+			this.workers.push(this.createWorker());
+
+		for(var w=0, len=this.workers.length; w<len && this.queue.length > 0; w++)
+		{
+			var worker = this.workers[w];
+
+			if(worker.task)
+				continue;
+
+			var task = this.queue.shift();
+
+			task.attempts++;
+
+			// individuals that can not be sent (e.g. DataCloneError) would fail again, so task is rejected and worker stays idle
+			try
+			{
+				worker.thread.postMessage({type: 'evaluate', id: task.id, individuals: task.individuals});
+			}
+			catch(error)
+			{
+				task.reject(error);
+				w--; // next task is tried with the same worker
+				continue;
+			}
+
+			worker.task = task;
+
+			if(this.timeout > 0)
+				worker.timer = setTimeout(this.handleFailure.bind(this, worker, new Error('Fitness evaluation timed out.')), this.timeout);
+
+			if(this.is_node)
+				worker.thread.ref();
+		}
+	},
+
+	/**
+	 * Get number of workers evaluating individuals.
+	 *
+	 * @return  int
+	 */
+	getBusyCount: function()
+	{
+		return this.workers.filter(function(worker) { return worker.task; }).length;
+	},
+
+	/**
+	 * Start new worker.
+	 *
+	 * @return  object  Worker record. (thread, task, timer)
+	 */
+	createWorker: function()
+	{
+		var pool   = this;
+		var worker = {thread: null, task: null, timer: null};
+
+		if(this.is_node)
+		{
+			// local name does not shadow global Worker used in browser
+			var NodeWorker = require('worker_threads').Worker;
+
+			worker.thread = new NodeWorker(this.script);
+			worker.thread.on('message', function(message) { pool.handleMessage(worker, message); });
+			worker.thread.on('error', function(error) { pool.handleFailure(worker, error); });
+			worker.thread.on('exit', function(code) { pool.handleFailure(worker, new Error('Worker stopped with exit code ' + code + '.')); });
+			worker.thread.unref();
+		}
+		else
+		{
+			worker.thread = new Worker(this.script);
+			worker.thread.onmessage = function(event) { pool.handleMessage(worker, event.data); };
+			worker.thread.onerror = function(event) { pool.handleFailure(worker, new Error(event.message)); };
+		}
+
+		worker.thread.postMessage(this.init_message);
+
+		return worker;
+	},
+
+	/**
+	 * Handle result from worker.
+	 *
+	 * @param   object  worker   Worker record.
+	 * @param   object  message  Message from worker. (id, fitness, error)
+	 *
+	 * @return  void
+	 */
+	handleMessage: function(worker, message)
+	{
+		var task = worker.task;
+
+		if(!task || message.id !== task.id)
+			return;
+
+		clearTimeout(worker.timer);
+		worker.task = null;
+
+		if(this.is_node)
+			worker.thread.unref();
+
+		// errors thrown by fitness function are not retried
+		if(message.error)
+			task.reject(new Error(message.error));
+		else
+			task.resolve(message.fitness);
+
+		this.dispatch();
+	},
+
+	/**
+	 * Handle crashed or timed out worker. Worker is replaced and its task is retried.
+	 *
+	 * @param   object  worker  Worker record.
+	 * @param   object  error
+	 *
+	 * @return  void
+	 */
+	handleFailure: function(worker, error)
+	{
+		var index = this.workers.indexOf(worker);
+
+		if(index == -1)
+			return;
+
+		this.workers.splice(index, 1);
+		clearTimeout(worker.timer);
+		worker.thread.terminate();
+
+		var task = worker.task;
+
+		if(task)
+		{
+			if(task.attempts <= this.retries)
+				this.queue.unshift(task);
+			else
+				task.reject(error);
+		}
+
+		this.dispatch();
+	},
+
+	/**
+	 * Stop all workers. Waiting tasks are rejected.
+	 *
+	 * @return  void
+	 */
+	terminate: function()
+	{
+		var workers = this.workers;
+		var queue   = this.queue;
+
+		this.workers = [];
+		this.queue   = [];
+
+		workers.forEach(function(worker)
+		{
+			clearTimeout(worker.timer);
+			worker.thread.terminate();
+
+			if(worker.task)
+				queue.push(worker.task);
+		});
+
+		queue.forEach(function(task)
+		{
+			task.reject(new Error('Worker pool was terminated.'));
+		});
+	}
+};
+
+// export for Node
+if(typeof module !== 'undefined' && module.exports)
+{
+	module.exports = {
+		EvolutionaryAlgorithm:             EvolutionaryAlgorithm,
+		EvolutionaryAlgorithmRandom:       EvolutionaryAlgorithmRandom,
+		EvolutionaryAlgorithmRun:          EvolutionaryAlgorithmRun,
+		EvolutionaryAlgorithmIslands:      EvolutionaryAlgorithmIslands,
+		EvolutionaryAlgorithmOptimizer:    EvolutionaryAlgorithmOptimizer,
+		EvolutionaryAlgorithmCMAES:        EvolutionaryAlgorithmCMAES,
+		EvolutionaryAlgorithmDE:           EvolutionaryAlgorithmDE,
+		EvolutionaryAlgorithmPSO:          EvolutionaryAlgorithmPSO,
+		EvolutionaryAlgorithmIndividual:   EvolutionaryAlgorithmIndividual,
+		EvolutionaryAlgorithmPopulation:   EvolutionaryAlgorithmPopulation,
+		EvolutionaryAlgorithmHallOfFame:   EvolutionaryAlgorithmHallOfFame,
+		EvolutionaryAlgorithmStatistics:   EvolutionaryAlgorithmStatistics,
+		EvolutionaryAlgorithmFitnessCache: EvolutionaryAlgorithmFitnessCache,
+		EvolutionaryAlgorithmWorkerPool:   EvolutionaryAlgorithmWorkerPool
+	};
+}
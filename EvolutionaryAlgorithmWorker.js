@@ -0,0 +1,114 @@
+/**
+ * Copyright 2014 Martin Vyšňovský (martinvysnovsky@gmail.com)
+ *
+ * Worker script used by EvolutionaryAlgorithmWorkerPool. Runs as worker_threads worker in Node or as Web Worker in browser.
+ */
+
+'use strict';
+
+(function()
+{
+	var is_node = (typeof process !== 'undefined' && process.versions && process.versions.node && typeof require === 'function');
+	var port    = (is_node) ? require('worker_threads').parentPort : self;
+
+	var fitnessFunction;
+
+	/**
+	 * Send message to pool.
+	 *
+	 * @param   object  message
+	 *
+	 * @return  void
+	 */
+	function send(message)
+	{
+		port.postMessage(message);
+	}
+
+	/**
+	 * Load fitness function from module or from its source.
+	 *
+	 * @param   object  message  Init message. (module, exportName, source)
+	 *
+	 * @return  void
+	 */
+	function init(message)
+	{
+		if(message.module)
+		{
+			var exported;
+
+			if(is_node)
+			{
+				exported = require(message.module);
+				exported = (typeof exported === 'function') ? exported : exported[message.exportName];
+			}
+			else
+			{
+				importScripts(message.module);
+				exported = self[message.exportName];
+			}
+
+			fitnessFunction = exported;
+		}
+		else
+			fitnessFunction = new Function('return (' + message.source + ');')();
+
+		if(typeof fitnessFunction !== 'function')
+			throw new Error('Fitness function was not found in worker.');
+	}
+
+	/**
+	 * Evaluate individuals and send fitness values back.
+	 *
+	 * @param   object  message  Evaluate message. (id, individuals)
+	 *
+	 * @return  void
+	 */
+	function evaluate(message)
+	{
+		var results;
+
+		try
+		{
+			results = message.individuals.map(function(individual)
+			{
+				return fitnessFunction(individual);
+			});
+		}
+		catch(error)
+		{
+			send({id: message.id, error: error.message || String(error)});
+			return;
+		}
+
+		// fitness function can return Promise
+		Promise.all(results).then(function(fitness)
+		{
+			send({id: message.id, fitness: fitness});
+		}, function(error)
+		{
+			send({id: message.id, error: (error && error.message) || String(error)});
+		});
+	}
+
+	/**
+	 * Handle message from pool.
+	 *
+	 * @param   object  message
+	 *
+	 * @return  void
+	 */
+	function handleMessage(message)
+	{
+		if(message.type == 'init')
+			init(message);
+		else if(message.type == 'evaluate')
+			evaluate(message);
+	}
+
+	if(is_node)
+		port.on('message', handleMessage);
+	else
+		port.onmessage = function(event) { handleMessage(event.data); };
+}());